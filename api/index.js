@@ -1,4 +1,13 @@
-import app from '../server.js';
-import serverless from 'serverless-http';
+// Función serverless (AWS Lambda / Netlify / Vercel con el adaptador de Lambda).
+// Sin sondeo de envíos en segundo plano: la función se congela entre invocaciones.
+import serverless from "serverless-http";
+import { createApp } from "../app.js";
 
-export default serverless(app);
+// Handler con la configuración dada en lugar del entorno del proceso (pruebas, otros despliegues)
+export function createHandler(config = {}) {
+  return serverless(createApp({ watch: false, ...config }));
+}
+
+export const app = createApp({ watch: false });
+export const handler = serverless(app);
+export default handler;
@@ -1,133 +1,803 @@
-// app.js
+// Aplicación Express del rastreador. createApp(config) la arma sin escuchar en ningún puerto:
+// la reutilizan el servidor (server.js), la función serverless (api/index.js) y las pruebas.
 import express from "express";
 import cors from "cors";
+import fs from "fs";
 import path from "path";
+import { randomUUID, timingSafeEqual } from "crypto";
 import { fileURLToPath } from "url";
+import { detectCarrier, bestCarrier, normalizeCode } from "./lib/detect.js";
+import { listCarriers, getCarrier, officialLink, describeCarrier } from "./carriers/index.js";
+import { createQueue } from "./lib/queue.js";
+import { parseCsv } from "./lib/csv.js";
+import { createBrowserPool } from "./lib/browser-pool.js";
+import { createResultCache, createMemoryStore } from "./lib/cache.js";
+import { STATUS } from "./lib/status.js";
+import { scrapePage } from "./lib/scrape.js";
+import { createJsonStore } from "./lib/json-store.js";
+import { createWatchlist } from "./lib/watchlist.js";
+import { createWebhooks } from "./lib/webhooks.js";
+import { createApiProviders } from "./lib/carrier-api.js";
+import { ERRORS, trackError, toTrackError, errorBody } from "./lib/errors.js";
+import { createCarrierGuard } from "./lib/carrier-guard.js";
+import { rateLimit } from "./lib/rate-limit.js";
+import { createMetrics, PROMETHEUS_CONTENT_TYPE } from "./lib/metrics.js";
+import { createLogger, requestLogger } from "./lib/log.js";
+import { openEventStream } from "./lib/sse.js";
+import { createApiKeys } from "./lib/api-keys.js";
+import { createSessions, createSessionQuota } from "./lib/session.js";
+import { createAlertEngine, topSeverity, atLeast, compareSeverity, SEVERITY } from "./lib/alerts.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const app = express();
-const port = process.env.PORT || 3000;
-
-// 🔧 Flag para (des)activar scraping con Playwright.
-// Déjalo sin definir o en "0" para desactivar (estable en Railway).
-const USE_SCRAPE = process.env.USE_SCRAPE === "1";
-
-app.use(cors());
-app.use(express.json({ limit: "1mb" }));
-app.use("/frontend", express.static(path.join(__dirname, "frontend")));
-
-app.get("/api/health", (_req, res) => {
-  res.json({ ok: true, ts: new Date().toISOString() });
-});
-
-// Genera el enlace oficial por paquetería
-function officialLink(carrier, code) {
-  const c = (carrier || "").toLowerCase();
-  switch (c) {
-    case "dhl":
-      return `https://www.dhl.com/mx-es/home/rastreo.html?tracking-id=${encodeURIComponent(code)}`;
-    case "fedex":
-      return `https://www.fedex.com/fedextrack/?trknbr=${encodeURIComponent(code)}&cntry_code=mx_esp`;
-    case "ups":
-      return `https://www.ups.com/track?loc=es_MX&tracknum=${encodeURIComponent(code)}&requester=ST/`;
-    case "delta":
-    case "delta-cargo":
-      return `https://www.deltacargo.com/Cargo/trackShipment?airbillnumber=${encodeURIComponent(code)}`;
-    case "expeditors":
-      return `https://www.expeditors.com/tracking`;
-    default:
-      return null;
-  }
+// Caché de resultados (segundos). CACHE_TTL_<CARRIER> sobrescribe el TTL de una paquetería.
+const CACHE_TTL = {
+  default: 600,
+  fedex: 900,
+  ups: 900,
+  dhl: 900,
+  delta: 1800,
+  expeditors: 3600
+};
+
+// Límite de salida por paquetería (consultas por minuto); CARRIER_RPM_<CARRIER> lo sobrescribe.
+const CARRIER_RPM = {
+  default: 20,
+  fedex: 30,
+  ups: 30,
+  dhl: 30,
+  expeditors: 10
+};
+
+// Configuración a partir de variables de entorno; createApp(config) sobrescribe cualquier clave
+export function loadConfig(env = process.env) {
+  return {
+    env,
+    // 1 = activar scraping con Playwright (extrae Estado/ETA/Entregado/Firmado/Origen/Destino)
+    useScrape: env.USE_SCRAPE === "1",
+    // Cada scrape abre Chromium: se limita cuántos corren a la vez (single + batch)
+    scrapeConcurrency: Number(env.SCRAPE_CONCURRENCY) || 2,
+    batchMax: Number(env.BATCH_MAX) || 300,
+    // 1 = permitir ?debug=1 en /api/track (texto de la página, captura, tiempos y origen de cada campo)
+    debugScrape: env.DEBUG_SCRAPE === "1",
+    // Datos persistentes (lista de envíos vigilados, etc.)
+    dataDir: env.DATA_DIR || path.join(__dirname, "data"),
+    apiTimeoutMs: Number(env.API_TIMEOUT_MS) || 15000,
+    browserPoolSize: Number(env.BROWSER_POOL_SIZE) || 0,
+    contextMaxUses: Number(env.CONTEXT_MAX_USES) || 50,
+    // Detrás de un proxy (TRUST_PROXY=1, "loopback", ...) para que req.ip sea la IP del cliente
+    trustProxy: env.TRUST_PROXY,
+    // Límite de entrada por cliente: solicitudes por minuto (0 = sin límite)
+    apiRateLimit: Number(env.API_RATE_LIMIT ?? 60),
+    cacheTtlDelivered: Number(env.CACHE_TTL_DELIVERED) || 7 * 24 * 3600,
+    cacheStale: Number(env.CACHE_STALE) || 3600,
+    cacheMaxEntries: Number(env.CACHE_MAX_ENTRIES) || 5000,
+    // Tras breakerThreshold bloqueos/timeouts seguidos se deja de consultar breakerCooldown segundos
+    breakerThreshold: Number(env.BREAKER_THRESHOLD) || 5,
+    breakerCooldown: Number(env.BREAKER_COOLDOWN) || 300,
+    // false = no sondear la lista de envíos en segundo plano (p. ej. en serverless)
+    watch: true,
+    watchTick: Number(env.WATCH_TICK) || 30,
+    webhookRetries: Number(env.WEBHOOK_RETRIES) || 5,
+    webhookBackoffMs: Number(env.WEBHOOK_BACKOFF_MS) || 1000,
+    // 1 = permitir webhooks a direcciones internas (localhost, red privada); solo para desarrollo
+    webhookAllowPrivate: env.WEBHOOK_ALLOW_PRIVATE === "1",
+    // debug | info | warn | error | silent
+    logLevel: env.LOG_LEVEL || "info",
+    // 1 = /api exige X-API-Key (o la sesión del frontend incluido); ADMIN_TOKEN habilita /api/admin/keys
+    requireApiKey: env.REQUIRE_API_KEY === "1",
+    adminToken: env.ADMIN_TOKEN || null,
+    // Cuotas por omisión de las keys nuevas (0 = sin límite)
+    apiKeyDaily: Number(env.API_KEY_DAILY ?? 1000),
+    apiKeyMonthly: Number(env.API_KEY_MONTHLY ?? 20000),
+    sessionSecret: env.SESSION_SECRET || undefined,
+    sessionHours: Number(env.SESSION_HOURS) || 12,
+    // Con REQUIRE_API_KEY=1: consultas diarias por IP desde el frontend incluido (0 = sin límite)
+    sessionDaily: Number(env.SESSION_DAILY ?? 200),
+    // JSON con la forma de ALERT_RULES (lib/alerts.js) para ajustar reglas por paquetería
+    alertRules: env.ALERT_RULES_FILE ? JSON.parse(fs.readFileSync(env.ALERT_RULES_FILE, "utf8")) : {}
+  };
 }
 
-// Utilidad opcional para scraping (solo si USE_SCRAPE=1)
-async function withPage(fn) {
-  if (!USE_SCRAPE) throw new Error("SCRAPE_DISABLED");
-  const { chromium } = await import("playwright");
-  const browser = await chromium.launch({
-    headless: true,
-    args: ["--no-sandbox", "--disable-setuid-sandbox"],
-  });
-  const context = await browser.newContext({
-    userAgent:
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126 Safari/537.36",
-  });
-  const page = await context.newPage();
-  try {
-    return await fn(page);
-  } finally {
-    await context.close();
-    await browser.close();
+export function createApp(config = {}) {
+  const cfg = { ...loadConfig(config.env), ...config };
+  const { env, useScrape: USE_SCRAPE, debugScrape: DEBUG_SCRAPE } = cfg;
+
+  const app = express();
+  const log = cfg.log || createLogger({ level: cfg.logLevel });
+  const metrics = createMetrics();
+  const scrapeQueue = createQueue({ concurrency: cfg.scrapeConcurrency });
+  // APIs oficiales de las paqueterías con credenciales en el entorno (FEDEX_API_KEY, UPS_CLIENT_ID, DHL_API_KEY, ...)
+  const apiProviders = cfg.apiProviders || createApiProviders(listCarriers(), { env, timeoutMs: cfg.apiTimeoutMs });
+
+  // Chromium compartido: contextos reutilizables en lugar de lanzar uno por consulta
+  const browserPool = createBrowserPool({
+    maxSize: cfg.browserPoolSize || cfg.scrapeConcurrency,
+    maxUses: cfg.contextMaxUses,
+    contextOptions: {
+      userAgent:
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126 Safari/537.36",
+      locale: "es-ES"
+    }
+  });
+
+  if (cfg.trustProxy) {
+    app.set("trust proxy", /^\d+$/.test(cfg.trustProxy) ? Number(cfg.trustProxy) : cfg.trustProxy);
   }
-}
+  const apiKeys = createApiKeys({
+    store: createJsonStore(path.join(cfg.dataDir, "api-keys.json"), { keys: [] }),
+    quota: { daily: cfg.apiKeyDaily, monthly: cfg.apiKeyMonthly }
+  });
+  const sessions = createSessions({ secret: cfg.sessionSecret, ttlMs: cfg.sessionHours * 3600 * 1000 });
+  const sessionQuota = createSessionQuota({ daily: cfg.sessionDaily });
+  const alertEngine = createAlertEngine({ overrides: cfg.alertRules });
 
-// Un ejemplo de parser para FedEx (solo se usará si activas USE_SCRAPE=1)
-async function scrapeFedEx(url) {
-  return withPage(async (page) => {
-    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
-    await page.waitForLoadState("networkidle", { timeout: 20000 }).catch(() => {});
-    const text = await page.evaluate(() => document.body.innerText || "");
-    const status =
-      (text.match(/Estado de la entrega\s*([^\n]+)/i)?.[1]) ||
-      (text.match(/\bEntregado\b/i)?.[0]) ||
-      (text.match(/\bDelivered\b/i)?.[0]) || null;
-    const deliveredAt =
-      (text.match(/Entregado\s+El\s+([^\n]+)/i)?.[1]) ||
-      (text.match(/Delivered\s+on\s+([^\n]+)/i)?.[1]) || null;
-    const signedBy =
-      (text.match(/Firmado por[:\s]+([A-ZÁÉÍÓÚÑ.\s]+)/i)?.[1]) ||
-      (text.match(/Signed by[:\s]+([A-Za-z.\s]+)/i)?.[1]) || null;
-    const eta =
-      (text.match(/Entrega (?:estimada|prevista|programada)\s*[:\-]?\s*([^\n]+)/i)?.[1]) ||
-      (text.match(/Estimated delivery\s*[:\-]?\s*([^\n]+)/i)?.[1]) || null;
-    return { status, deliveredAt, signedBy, eta };
+  app.use(requestLogger(log, { onFinish: observeRequest }));
+  // Identifica al cliente (X-API-Key o sesión del frontend); el rechazo se decide más abajo, en /api
+  app.use(async (req, _res, next) => {
+    try {
+      req.apiKey = await apiKeys.verify(req.get("x-api-key"));
+      req.session = !req.apiKey && sessions.fromSameOrigin(req);
+      req.admin = isAdmin(req);
+      next();
+    } catch (e) {
+      next(e);
+    }
   });
-}
+  app.use(cors(corsOptions));
+  app.use(express.json({ limit: "1mb" }));
+  app.use(express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }));
+  app.use("/frontend", sessions.middleware, express.static(path.join(__dirname, "frontend")));
 
-async function scrapeByCarrier(carrier, url) {
-  const c = (carrier || "").toLowerCase();
-  if (c.includes("fedex")) return await scrapeFedEx(url);
-  // otros carriers aquí si luego activas USE_SCRAPE
-  return {};
-}
+  // REQUIRE_API_KEY=1: todo /api pide key o sesión; /health es libre y /admin (o quien trae ADMIN_TOKEN) usa el token
+  app.use("/api", (req, res, next) => {
+    if (req.path === "/health" || req.path.startsWith("/admin/") || req.admin) return next();
+    if (req.get("x-api-key") && !req.apiKey) {
+      return res.status(401).json({ ok: false, error: "API key inválida o revocada" });
+    }
+    if (req.session) return sessions.middleware(req, res, next);
+    if (req.apiKey || !cfg.requireApiKey) return next();
+    return res.status(401).json({ ok: false, error: "Falta la API key (encabezado X-API-Key)" });
+  });
 
-app.post("/api/track", async (req, res) => {
-  try {
-    const { carrier, code } = req.body || {};
-    if (!carrier || !code) {
-      return res.status(400).json({ ok: false, error: "Faltan parámetros: carrier y code" });
+  // Límite por API key (o por IP sin key); /api/health no cuenta y un lote cobra una ficha por guía (en su ruta)
+  const limiter = cfg.apiRateLimit > 0
+    ? rateLimit({ limit: cfg.apiRateLimit, windowMs: 60000, keyOf: (req) => req.apiKey?.id || req.ip })
+    : null;
+  const unlimited = (req) => req.path === "/health" || (req.method === "POST" && req.path === "/track/batch");
+  if (limiter) app.use("/api", (req, res, next) => (unlimited(req) ? next() : limiter(req, res, next)));
+
+  app.get("/api/health", (_req, res) => {
+    res.json({ ok: true, scrape: USE_SCRAPE, api: Object.keys(apiProviders), queue: scrapeQueue.stats(), pool: browserPool.stats(), cache: resultCache.stats(),
+      carriers: carrierGuard.stats(listCarriers().map((c) => c.id)), ts: new Date().toISOString() });
+  });
+
+  const isDelivered = (d) => d?.statusCode === STATUS.DELIVERED || Boolean(d?.deliveredAt);
+
+  // Variable de entorno por paquetería: NAME_<CARRIER> (p. ej. CACHE_TTL_FEDEX, CARRIER_RPM_99MINUTOS)
+  const carrierEnv = (name, carrier) => Number(env[`${name}_${carrier.toUpperCase().replace(/\W/g, "_")}`]);
+
+  function cacheTtl(details, { carrier }) {
+    if (isDelivered(details)) return cfg.cacheTtlDelivered * 1000;
+    const c = (carrier || "").toLowerCase();
+    return (carrierEnv("CACHE_TTL", c) || CACHE_TTL[c] || Number(env.CACHE_TTL) || CACHE_TTL.default) * 1000;
+  }
+
+  const resultCache = createResultCache({
+    store: createMemoryStore({ maxEntries: cfg.cacheMaxEntries }),
+    ttlFor: cacheTtl,
+    staleFor: (details) => (isDelivered(details) ? 0 : cfg.cacheStale * 1000),
+    log
+  });
+
+  const carrierGuard = createCarrierGuard({
+    limitsFor: (carrier) => ({
+      ratePerMin: carrierEnv("CARRIER_RPM", carrier) || CARRIER_RPM[carrier] || Number(env.CARRIER_RPM) || CARRIER_RPM.default,
+      burst: Number(env.CARRIER_BURST) || 3,
+      concurrency: carrierEnv("CARRIER_CONCURRENCY", carrier) || Number(env.CARRIER_CONCURRENCY) || 1
+    }),
+    breaker: {
+      threshold: cfg.breakerThreshold,
+      cooldownMs: cfg.breakerCooldown * 1000
     }
+  });
+
+  // CORS: sin REQUIRE_API_KEY cualquier origen (como siempre); con keys, solo los orígenes de la key.
+  // El preflight (OPTIONS) no trae la key: basta que algún key activo acepte el origen.
+  function corsOptions(req, cb) {
+    const options = { exposedHeaders: ["Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "X-Request-Id"] };
+    const origin = req.get("origin");
+    if (!cfg.requireApiKey) return cb(null, { ...options, origin: "*" });
+    if (!origin) return cb(null, { ...options, origin: false });
+    if (req.apiKey) return cb(null, { ...options, origin: apiKeys.allowsOrigin(req.apiKey, origin) });
+    if (req.method !== "OPTIONS") return cb(null, { ...options, origin: false });
+    apiKeys.originAllowed(origin).then((allowed) => cb(null, { ...options, origin: allowed }), cb);
+  }
+
+  /* -------------------- Métricas -------------------- */
+
+  const httpRequests = metrics.counter("mct_http_requests_total", "Solicitudes HTTP por ruta y status", ["method", "route", "status"]);
+  const httpDuration = metrics.histogram("mct_http_request_duration_seconds", "Duración de las solicitudes HTTP", ["method", "route"]);
+  const lookupDuration = metrics.histogram("mct_lookup_duration_seconds", "Duración de cada consulta a la paquetería (API o scraping, sin la espera en cola)", ["carrier", "source"]);
+  const lookups = metrics.counter("mct_lookups_total", "Consultas a la paquetería por resultado (success o código de error)", ["carrier", "source", "result"]);
+  // Tasa de extracción por campo = hits / checks; si cae para una paquetería, cambió su página
+  const fieldChecks = metrics.counter("mct_field_checks_total", "Respuestas exitosas en las que se esperaba el campo", ["carrier", "source", "field"]);
+  const fieldHits = metrics.counter("mct_field_hits_total", "Respuestas exitosas en las que el campo vino con valor", ["carrier", "source", "field"]);
+  const circuitOpen = metrics.gauge("mct_circuit_open", "1 si el circuit breaker de la paquetería está abierto o en prueba", ["carrier"]);
+  const queueSize = metrics.gauge("mct_scrape_queue", "Scrapes en curso y en espera", ["state"]);
 
-    const url = officialLink(carrier, code);
-    if (!url) {
-      return res.status(400).json({ ok: false, error: "Carrier no soportado", carrier });
+  metrics.collect(() => {
+    for (const [carrier, s] of Object.entries(carrierGuard.stats(listCarriers().map((c) => c.id)))) {
+      circuitOpen.set({ carrier }, s.breaker.state === "closed" ? 0 : 1);
     }
+    const { active, pending } = scrapeQueue.stats();
+    queueSize.set({ state: "active" }, active);
+    queueSize.set({ state: "pending" }, pending);
+  });
 
-    let details = {};
+  // Ruta de Express (/api/shipments/:id), no la URL: evita una serie por guía o id
+  function observeRequest(req, res, seconds) {
+    const route = req.route ? req.baseUrl + req.route.path : req.baseUrl || "sin_ruta";
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  }
+
+  const hasValue = (v) => v != null && v !== "" && !(Array.isArray(v) && !v.length);
+
+  // Mide una consulta (API o scraping) y cuenta resultado y campos extraídos
+  async function observed(carrier, source, fn) {
+    const start = process.hrtime.bigint();
     try {
-      details = await scrapeByCarrier(carrier, url);
+      const details = await fn();
+      lookups.inc({ carrier, source, result: "success" });
+      for (const field of getCarrier(carrier)?.fields || []) {
+        fieldChecks.inc({ carrier, source, field });
+        if (hasValue(details?.[field])) fieldHits.inc({ carrier, source, field });
+      }
+      return details;
     } catch (e) {
-      // Si scraping está desactivado o falla, seguimos con detalles vacíos
-      details = {};
+      lookups.inc({ carrier, source, result: toTrackError(e).code.toLowerCase() });
+      throw e;
+    } finally {
+      lookupDuration.observe({ carrier, source }, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  }
+
+  /* -------------------- Helpers -------------------- */
+
+  // Handler async de Express 4: un error (p. ej. data/*.json corrupto) responde 500 en lugar de quedar como
+  // promesa rechazada sin manejar, que tumba el proceso
+  const handle = (name, fn) => async (req, res, next) => {
+    try {
+      await fn(req, res, next);
+    } catch (err) {
+      log.error(name, { err });
+      if (res.headersSent) return res.end();
+      res.status(500).json({ ok: false, error: "Error interno" });
     }
+  };
+
+  function withPage(fn) {
+    return browserPool.withPage(fn);
+  }
 
-    return res.json({
-      ok: true,
-      carrier,
-      code,
-      officialUrl: url,
-      ...details, // status/eta/etc si alguna vez activas scraping
+  async function scrapeByCarrier(carrier, url, code, { debug = false, onPhase } = {}) {
+    const adapter = getCarrier(carrier);
+    if (!adapter?.parse) return {};
+    return await scrapePage(adapter, url, { withPage, code, debug, onPhase });
+  }
+
+  // API oficial si hay credenciales; si falla o no hay, scraping. source indica quién respondió (api | scrape).
+  // Sin scraping el error de la API se propaga para no cachear una respuesta vacía.
+  // Todo pasa por el límite y el circuit breaker de la paquetería. onPhase(fase, extra) reporta el avance.
+  async function lookup(carrier, url, code, onPhase = () => {}) {
+    return await carrierGuard.run(carrier, async () => {
+      const api = apiProviders[carrier];
+      if (api) {
+        try {
+          onPhase("navigating", { source: "api" });
+          return { ...(await observed(carrier, "api", () => api.track(code))), source: "api" };
+        } catch (e) {
+          // "No encontrada" de la API es definitivo; otros errores caen a scraping si está activo
+          if (!USE_SCRAPE || toTrackError(e).code === "NOT_FOUND") throw e;
+          log.warn("api fallback", { carrier, code, err: e });
+        }
+      }
+      const details = await scrapeQueue.push(() =>
+        observed(carrier, "scrape", () => scrapeByCarrier(carrier, url, code, { onPhase: (phase) => onPhase(phase, { source: "scrape" }) }))
+      );
+      return { ...details, source: "scrape" };
     });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ ok: false, error: "Error interno" });
   }
-});
 
-// Raíz -> UI
-app.get("/", (_req, res) => res.redirect("/frontend/index.html"));
+  /* -------------------- API -------------------- */
+
+  app.get("/api/carriers", (_req, res) => {
+    res.json({ ok: true, carriers: listCarriers().map(describeCarrier) });
+  });
+
+  app.get("/api/detect", (req, res) => {
+    const { code } = req.query || {};
+    if (!code) {
+      return res.status(400).json({ ok: false, error: "Falta parámetro: code" });
+    }
+    const candidates = detectCarrier(code);
+    return res.json({ ok: true, code: normalizeCode(code), carrier: bestCarrier(code)?.carrier || null, candidates });
+  });
+
+  // Resuelve una consulta { carrier, code } -> { status, body } (body = respuesta JSON de /api/track).
+  // onPhase(fase, extra): "queued" al entrar a las colas, luego "navigating"/"parsing" si hay que consultar.
+  // apiKey: registro de la key del cliente (paqueterías permitidas y cuota); session: IP de una consulta del
+  // frontend con REQUIRE_API_KEY=1 (cuota por IP). Sin ninguno no hay límites.
+  async function trackOne({ carrier, code, fresh, debug, apiKey, session, onPhase = () => {} } = {}) {
+    if (!code) {
+      return { status: 400, body: { ok: false, error: "Falta parámetro: code" } };
+    }
+    debug = debug === "1" || debug === true;
+    if (debug && !DEBUG_SCRAPE) {
+      return { status: 403, body: { ok: false, error: "Modo debug desactivado (DEBUG_SCRAPE=1)" } };
+    }
+
+    // Sin carrier (o carrier=auto): se detecta por formato/dígito verificador
+    let detection;
+    if (!carrier || String(carrier).toLowerCase() === "auto") {
+      const candidates = detectCarrier(code);
+      const best = bestCarrier(code);
+      if (!best) {
+        // Sin ningún candidato el número no tiene formato de guía de ninguna paquetería
+        const extra = candidates.length ? {} : { errorCode: "INVALID_NUMBER", retryable: false };
+        return { status: 400, body: { ok: false, error: "No se pudo detectar la paquetería", code, candidates, ...extra } };
+      }
+      carrier = best.carrier;
+      detection = { confidence: best.confidence, candidates };
+    }
+
+    const adapter = getCarrier(carrier);
+    if (!adapter) {
+      return { status: 400, body: { ok: false, error: "Carrier no soportado", carrier } };
+    }
+    carrier = adapter.id;
+    const url = adapter.link(code);
+    const base = { carrier, code, officialUrl: url, ...(detection && { detection }) };
+    // Respuesta con datos: se agregan las alertas vigentes (se recalculan aunque venga de la caché)
+    const found = (details) => ({ status: 200, body: { ok: true, ...base, ...details, alerts: alertEngine.evaluate(carrier, details) } });
+    const failed = (err) => ({
+      status: ERRORS[err.code].status,
+      body: { ok: false, ...base, source: "link-only", ...errorBody(err) }
+    });
+
+    if (!/^[A-Z0-9]{4,40}$/.test(normalizeCode(code))) {
+      return failed(trackError("INVALID_NUMBER", "El número de guía solo admite letras y dígitos (4 a 40)"));
+    }
+    if (apiKey && !apiKeys.allowsCarrier(apiKey, carrier)) {
+      return failed(trackError("CARRIER_NOT_ALLOWED", `La API key no tiene permitida la paquetería ${adapter.name}`));
+    }
+    if (!USE_SCRAPE && (debug || !apiProviders[carrier])) return failed(trackError("SCRAPE_DISABLED"));
+    // Cuenta cada guía consultada, también las que salen de la caché
+    if (apiKey || session) {
+      try {
+        if (apiKey) await apiKeys.consume(apiKey.id, carrier);
+        else sessionQuota.consume(session);
+      } catch (e) {
+        if (e.code === "QUOTA_EXCEEDED") return failed(e);
+        throw e;
+      }
+    }
+
+    const key = `${carrier}:${normalizeCode(code)}`;
+    onPhase("queued", { pending: scrapeQueue.stats().pending });
+    try {
+      // Debug: siempre scraping (es lo que se diagnostica) y sin pasar por la caché
+      if (debug) {
+        const details = await carrierGuard.run(carrier, () =>
+          scrapeQueue.push(() => observed(carrier, "scrape", () => scrapeByCarrier(carrier, url, code, { debug: true, onPhase })))
+        );
+        return found({ ...details, source: "scrape", cache: "bypass" });
+      }
+      const cached = await resultCache.wrap(key, () => lookup(carrier, url, code, onPhase), {
+        carrier,
+        fresh: fresh === "1" || fresh === true
+      });
+      return found({ ...cached.value, cache: cached.cache, cachedAt: new Date(cached.cachedAt).toISOString() });
+    } catch (e) {
+      // Circuito abierto: último dato conocido aunque esté vencido; si no hay, solo el enlace
+      const last = !debug && e.circuitOpen && (await resultCache.peek(key));
+      if (last) {
+        return found({ ...last.value, cache: "stale", cachedAt: new Date(last.cachedAt).toISOString(), circuit: "open" });
+      }
+      let err = toTrackError(e);
+      // "Sin resultados" para un número que ni siquiera tiene el formato de la paquetería
+      if (err.code === "NOT_FOUND" && adapter.validate && !adapter.validate(normalizeCode(code))) {
+        err = trackError("INVALID_NUMBER", `El número no tiene el formato de guía de ${adapter.name}`, { partial: err.partial });
+      }
+      log.warn("track error", { carrier, code, errorCode: err.code, err: e });
+      return failed(err);
+    }
+  }
+
+  // Sesión del frontend que cuenta contra la cuota por IP (solo si /api exige key)
+  const sessionOf = (req) => (req.session && cfg.requireApiKey ? req.ip : null);
+
+  // GET (?carrier=&code=) o POST (JSON { carrier, code, fresh, debug }): misma respuesta
+  const track = (paramsOf) => async (req, res) => {
+    try {
+      const { carrier, code, fresh, debug } = paramsOf(req) || {};
+      const { status, body } = await trackOne({ carrier, code, fresh, debug, apiKey: req.apiKey, session: sessionOf(req) });
+      if (body.retryAfter) res.set("Retry-After", String(body.retryAfter));
+      return res.status(status).json(body);
+    } catch (err) {
+      log.error("track handler", { err });
+      res.status(500).json({ ok: false, error: "Error interno" });
+    }
+  };
+
+  app.get("/api/track", track((req) => req.query));
+  app.post("/api/track", track((req) => (typeof req.body === "object" ? req.body : null)));
+
+  // SSE: fases de la consulta (queued, navigating, parsing, done) y luego el resultado ("result", mismo JSON
+  // que /api/track). Si la guía está en la lista vigilada la conexión sigue abierta y cada cambio llega como
+  // "update"; "watch" indica si se queda abierta (el cliente cierra con watching=false).
+  // Streams abiertos que siguen envíos vigilados: un solo listener de la lista los reparte (ver más abajo)
+  // en lugar de uno por conexión, que con más de 10 espectadores dispara MaxListenersExceededWarning
+  const streamWatchers = new Set();
+
+  app.get("/api/track/stream", async (req, res) => {
+    const stream = openEventStream(res);
+    const { carrier, code, fresh } = req.query;
+    let body;
+    try {
+      const onPhase = (phase, extra) => stream.send("phase", { phase, ...extra });
+      ({ body } = await trackOne({ carrier, code, fresh, apiKey: req.apiKey, session: sessionOf(req), onPhase }));
+    } catch (e) {
+      log.error("track stream", { err: e });
+      body = { ok: false, error: "Error interno" };
+    }
+    stream.send("phase", { phase: "done" });
+    stream.send("result", body);
+
+    const sameCode = (s) => s.carrier === body.carrier && normalizeCode(s.code) === normalizeCode(body.code || "");
+    let ids;
+    try {
+      const watched = body.carrier ? (await watchlist.list()).filter((s) => s.active && sameCode(s) && visible(req, s)) : [];
+      ids = new Set(watched.map((s) => s.id));
+    } catch (e) {
+      // Sin la lista (p. ej. shipments.json ilegible) el resultado ya salió: se cierra sin vigilar
+      log.error("track stream watchlist", { err: e });
+      ids = new Set();
+    }
+    stream.send("watch", { watching: ids.size > 0, shipments: [...ids] });
+    if (!ids.size) return stream.close();
+
+    const onChange = ({ shipment, changes, current }) => {
+      if (!ids.has(shipment.id)) return;
+      const { carrier, code } = shipment;
+      const result = { ok: true, carrier, code, officialUrl: officialLink(carrier, code), ...current, alerts: alertEngine.evaluate(carrier, current) };
+      stream.send("update", { shipmentId: shipment.id, changes, result });
+      // Entregado o devuelto: la lista deja de consultarlo
+      if (!shipment.active) ids.delete(shipment.id);
+      if (!ids.size) {
+        stream.send("watch", { watching: false, shipments: [] });
+        stream.close();
+      }
+    };
+    streamWatchers.add(onChange);
+    stream.onClose(() => streamWatchers.delete(onChange));
+  });
+
+  // Lote: JSON { items: [{ carrier, code }] } (o arreglo directo) o CSV (text/csv).
+  // Con ?stream=1 o Accept: application/x-ndjson responde una línea por guía al terminar cada una.
+  app.post("/api/track/batch", async (req, res) => {
+    let items;
+    if (typeof req.body === "string") {
+      items = parseCsv(req.body);
+    } else {
+      items = Array.isArray(req.body) ? req.body : req.body?.items;
+    }
+    // Una ficha del límite por cliente por cada guía (un lote inválido o demasiado grande paga una)
+    const cost = Array.isArray(items) && items.length <= cfg.batchMax ? Math.max(1, items.length) : 1;
+    if (limiter && !limiter.charge(req, res, cost)) return;
+    if (!Array.isArray(items) || !items.length) {
+      return res.status(400).json({ ok: false, error: "Faltan guías: items[] o CSV" });
+    }
+    if (items.length > cfg.batchMax) {
+      return res.status(413).json({ ok: false, error: `Máximo ${cfg.batchMax} guías por lote`, count: items.length });
+    }
+
+    const runItem = (item) =>
+      trackOne({ carrier: item?.carrier, code: item?.code, fresh: item?.fresh ?? req.query.fresh, apiKey: req.apiKey, session: sessionOf(req) })
+        .then(({ body }) => body)
+        .catch((e) => {
+          log.error("batch item", { carrier: item?.carrier, code: item?.code, err: e });
+          return { ok: false, carrier: item?.carrier, code: item?.code, error: "Error interno" };
+        });
+
+    const stream = req.query.stream === "1" || /application\/x-ndjson/.test(req.get("accept") || "");
+    if (stream) {
+      res.status(200).type("application/x-ndjson");
+      res.flushHeaders();
+      await Promise.all(
+        items.map((item, index) => runItem(item).then((body) => res.write(JSON.stringify({ index, ...body }) + "\n")))
+      );
+      return res.end();
+    }
+
+    const results = await Promise.all(items.map(runItem));
+    return res.json({ ok: true, count: results.length, results });
+  });
+
+  /* -------------------- Envíos vigilados -------------------- */
+
+  // Sondeos y refrescos cuentan contra la cuota y las paqueterías de la key dueña del envío
+  async function trackWatched({ owner, ...query }) {
+    if (!owner) return (await trackOne(query)).body;
+    const apiKey = await apiKeys.get(owner);
+    if (!apiKey?.active) return { ok: false, error: "La API key del envío no existe o fue revocada" };
+    return (await trackOne({ ...query, apiKey })).body;
+  }
+
+  const watchlist = createWatchlist({
+    store: createJsonStore(path.join(cfg.dataDir, "shipments.json"), { shipments: [] }),
+    track: trackWatched,
+    tickMs: cfg.watchTick * 1000,
+    log
+  });
+  watchlist.on("change", (event) => {
+    for (const onChange of streamWatchers) onChange(event);
+  });
+  // Sin scraping ni APIs no hay datos que refrescar
+  if (cfg.watch && (USE_SCRAPE || Object.keys(apiProviders).length)) watchlist.start();
+
+  // Cada API key ve y modifica solo sus envíos; sin key (frontend o modo abierto) los que no tienen dueño.
+  // El administrador (ADMIN_TOKEN) ve todos.
+  const ownerOf = (req) => req.apiKey?.id ?? null;
+  const visible = (req, s) => Boolean(s) && (req.admin || (s.owner ?? null) === ownerOf(req));
+  const visibleShipment = async (req) => {
+    const shipment = await watchlist.get(req.params.id);
+    return visible(req, shipment) ? shipment : null;
+  };
+
+  app.get("/api/shipments", handle("list shipments", async (req, res) => {
+    res.json({ ok: true, shipments: (await watchlist.list()).filter((s) => visible(req, s)) });
+  }));
+
+  app.post("/api/shipments", async (req, res) => {
+    try {
+      const { code, label } = req.body || {};
+      let { carrier } = req.body || {};
+      if (!code) {
+        return res.status(400).json({ ok: false, error: "Falta parámetro: code" });
+      }
+      if (!carrier || String(carrier).toLowerCase() === "auto") {
+        carrier = bestCarrier(code)?.carrier;
+        if (!carrier) return res.status(400).json({ ok: false, error: "No se pudo detectar la paquetería", code });
+      }
+      const adapter = getCarrier(carrier);
+      if (!adapter) {
+        return res.status(400).json({ ok: false, error: "Carrier no soportado", carrier });
+      }
+      carrier = adapter.id;
+      if (req.apiKey && !apiKeys.allowsCarrier(req.apiKey, carrier)) {
+        const err = trackError("CARRIER_NOT_ALLOWED", `La API key no tiene permitida la paquetería ${adapter.name}`);
+        return res.status(ERRORS.CARRIER_NOT_ALLOWED.status).json({ carrier, code, ...errorBody(err) });
+      }
+      const shipment = await watchlist.add({ carrier, code: String(code).trim(), label, owner: ownerOf(req) });
+      res.status(201).json({ ok: true, shipment });
+    } catch (e) {
+      if (e.status === 409) return res.status(409).json({ ok: false, error: e.message, shipment: e.shipment });
+      log.error("add shipment", { err: e });
+      res.status(500).json({ ok: false, error: "Error interno" });
+    }
+  });
+
+  app.get("/api/shipments/:id", handle("get shipment", async (req, res) => {
+    const shipment = await visibleShipment(req);
+    if (!shipment) return res.status(404).json({ ok: false, error: "Envío no encontrado" });
+    res.json({ ok: true, shipment });
+  }));
+
+  app.patch("/api/shipments/:id", handle("update shipment", async (req, res) => {
+    const { label, active } = req.body || {};
+    if (!(await visibleShipment(req))) return res.status(404).json({ ok: false, error: "Envío no encontrado" });
+    const shipment = await watchlist.update(req.params.id, { label, active });
+    if (!shipment) return res.status(404).json({ ok: false, error: "Envío no encontrado" });
+    res.json({ ok: true, shipment });
+  }));
+
+  app.delete("/api/shipments/:id", handle("remove shipment", async (req, res) => {
+    if (!(await visibleShipment(req)) || !(await watchlist.remove(req.params.id))) {
+      return res.status(404).json({ ok: false, error: "Envío no encontrado" });
+    }
+    res.json({ ok: true });
+  }));
+
+  // Consulta inmediata, sin esperar al siguiente turno del sondeo
+  app.post("/api/shipments/:id/refresh", handle("refresh shipment", async (req, res) => {
+    const shipment = (await visibleShipment(req)) && (await watchlist.refresh(req.params.id, { session: sessionOf(req) }));
+    if (!shipment) return res.status(404).json({ ok: false, error: "Envío no encontrado" });
+    // Cuota agotada o paquetería no permitida: no se consultó
+    const { lastErrorCode: errorCode } = shipment;
+    if (errorCode === "QUOTA_EXCEEDED" || errorCode === "CARRIER_NOT_ALLOWED") {
+      return res.status(ERRORS[errorCode].status).json({ ok: false, error: shipment.lastError, errorCode, shipment });
+    }
+    res.json({ ok: true, shipment });
+  }));
+
+  // Envíos vigilados (activos) con alertas vigentes, los más graves primero.
+  // ?severity=warning deja warning y critical; ?carrier= filtra por paquetería.
+  app.get("/api/alerts", handle("list alerts", async (req, res) => {
+    const { severity, carrier } = req.query;
+    if (severity && !Object.values(SEVERITY).includes(severity)) {
+      return res.status(400).json({ ok: false, error: `severity debe ser ${Object.values(SEVERITY).join(", ")}` });
+    }
+    const now = new Date();
+    const flagged = [];
+    for (const s of await watchlist.list()) {
+      if (!s.active || !visible(req, s) || (carrier && s.carrier !== String(carrier).toLowerCase())) continue;
+      const alerts = alertEngine.evaluate(s.carrier, s.details, { now }).filter((a) => !severity || atLeast(a.severity, severity));
+      if (!alerts.length) continue;
+      const { id, label, details } = s;
+      flagged.push({
+        shipment: { id, carrier: s.carrier, code: s.code, label, officialUrl: officialLink(s.carrier, s.code) },
+        severity: topSeverity(alerts),
+        status: details.status ?? null,
+        statusCode: details.statusCode ?? null,
+        eta: details.eta ?? null,
+        lastCheckedAt: s.lastCheckedAt ?? null,
+        alerts
+      });
+    }
+    flagged.sort((a, b) => compareSeverity(a.severity, b.severity));
+    res.json({ ok: true, count: flagged.length, shipments: flagged });
+  }));
+
+  /* -------------------- Webhooks -------------------- */
+
+  const webhooks = createWebhooks({
+    store: createJsonStore(path.join(cfg.dataDir, "webhooks.json"), { hooks: [], deadLetters: [] }),
+    retries: cfg.webhookRetries,
+    baseDelayMs: cfg.webhookBackoffMs,
+    allowPrivate: cfg.webhookAllowPrivate,
+    log
+  });
+
+  // Campos que disparan la notificación
+  const NOTIFY_FIELDS = ["status", "statusCode", "eta", "etaIso", "signedBy"];
+
+  watchlist.on("change", ({ shipment, changes, previous, current }) => {
+    const relevant = Object.fromEntries(Object.entries(changes).filter(([f]) => NOTIFY_FIELDS.includes(f)));
+    if (!Object.keys(relevant).length) return;
+    const pick = (d) => Object.fromEntries(NOTIFY_FIELDS.map((f) => [f, d?.[f] ?? null]));
+    const { carrier, code } = shipment;
+    webhooks
+      .notify({
+        event: "shipment.changed",
+        id: randomUUID(),
+        sentAt: new Date().toISOString(),
+        shipment: { id: shipment.id, carrier, code, label: shipment.label, officialUrl: officialLink(carrier, code) },
+        changes: relevant,
+        previous: pick(previous),
+        current: { ok: true, carrier, code, officialUrl: officialLink(carrier, code), ...current }
+      })
+      .catch((e) => log.error("webhook notify", { shipment: shipment.id, err: e }));
+  });
+
+  // Los webhooks reciben los cambios de todos los envíos: con REQUIRE_API_KEY=1 solo los administra ADMIN_TOKEN
+  const adminWhenKeys = (req, res, next) => (cfg.requireApiKey ? requireAdmin(req, res, next) : next());
+
+  app.get("/api/webhooks", adminWhenKeys, handle("list webhooks", async (_req, res) => {
+    res.json({ ok: true, webhooks: await webhooks.list() });
+  }));
+
+  app.post("/api/webhooks", adminWhenKeys, handle("add webhook", async (req, res) => {
+    const { url, secret } = req.body || {};
+    if (!url || !/^https?:\/\//i.test(url)) {
+      return res.status(400).json({ ok: false, error: "Falta parámetro: url (http/https)" });
+    }
+    try {
+      // Única respuesta que incluye el secreto para verificar X-Signature-256
+      res.status(201).json({ ok: true, webhook: await webhooks.add({ url, secret }) });
+    } catch (e) {
+      // URL hacia una dirección interna o host que no resuelve
+      if (e.status === 400) return res.status(400).json({ ok: false, error: e.message });
+      throw e;
+    }
+  }));
+
+  app.delete("/api/webhooks/:id", adminWhenKeys, handle("remove webhook", async (req, res) => {
+    if (!(await webhooks.remove(req.params.id))) {
+      return res.status(404).json({ ok: false, error: "Webhook no encontrado" });
+    }
+    res.json({ ok: true });
+  }));
+
+  app.get("/api/webhooks/dead-letters", adminWhenKeys, handle("list dead letters", async (_req, res) => {
+    res.json({ ok: true, deadLetters: await webhooks.deadLetters() });
+  }));
+
+  // Reenvía todas las entregas fallidas, o solo una con /dead-letters/:id/replay
+  app.post("/api/webhooks/dead-letters/replay", adminWhenKeys, handle("replay dead letters", async (_req, res) => {
+    res.json({ ok: true, results: await webhooks.replay() });
+  }));
+
+  app.post("/api/webhooks/dead-letters/:id/replay", adminWhenKeys, handle("replay dead letter", async (req, res) => {
+    const results = await webhooks.replay(req.params.id);
+    if (!results.length) return res.status(404).json({ ok: false, error: "Entrega no encontrada" });
+    res.json({ ok: true, results });
+  }));
+
+  /* -------------------- API keys (administración) -------------------- */
+
+  // Authorization: Bearer <ADMIN_TOKEN>; sin ADMIN_TOKEN no hay administración
+  function isAdmin(req) {
+    if (!cfg.adminToken) return false;
+    const given = Buffer.from((req.get("authorization") || "").replace(/^Bearer\s+/i, ""));
+    const expected = Buffer.from(cfg.adminToken);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  }
+
+  function requireAdmin(req, res, next) {
+    if (!cfg.adminToken) {
+      return res.status(404).json({ ok: false, error: "Administración desactivada (ADMIN_TOKEN)" });
+    }
+    if (!req.admin) return res.status(401).json({ ok: false, error: "Token de administración inválido" });
+    next();
+  }
+
+  const isQuota = (v) => v == null || (Number.isInteger(v) && v >= 0);
+  const isOrigin = (o) => o === "*" || /^https?:\/\/[^/\s]+$/i.test(o);
+
+  app.get("/api/admin/keys", requireAdmin, handle("list api keys", async (_req, res) => {
+    res.json({ ok: true, keys: await apiKeys.list() });
+  }));
 
-app.listen(port, () => console.log(`Multi-carrier tracker listening on port ${port}`));
+  app.post("/api/admin/keys", requireAdmin, handle("create api key", async (req, res) => {
+    const { name, daily, monthly, carriers = [], origins = [] } = req.body || {};
+    if (!isQuota(daily) || !isQuota(monthly)) {
+      return res.status(400).json({ ok: false, error: "daily y monthly deben ser enteros >= 0 (0 = sin límite)" });
+    }
+    const unknown = Array.isArray(carriers) ? carriers.filter((c) => !getCarrier(c)) : null;
+    if (!unknown || unknown.length) {
+      return res.status(400).json({ ok: false, error: "carriers debe ser una lista de paqueterías soportadas", unknown });
+    }
+    if (!Array.isArray(origins) || !origins.every(isOrigin)) {
+      return res.status(400).json({ ok: false, error: "origins debe ser una lista de orígenes (https://sitio.com) o \"*\"" });
+    }
+    const ids = carriers.map((c) => getCarrier(c).id);
+    // Única respuesta que incluye la key completa
+    res.status(201).json({ ok: true, ...(await apiKeys.create({ name, daily, monthly, carriers: ids, origins })) });
+  }));
+
+  app.get("/api/admin/keys/:id", requireAdmin, handle("get api key", async (req, res) => {
+    const apiKey = await apiKeys.get(req.params.id);
+    if (!apiKey) return res.status(404).json({ ok: false, error: "API key no encontrada" });
+    res.json({ ok: true, apiKey });
+  }));
+
+  app.delete("/api/admin/keys/:id", requireAdmin, handle("revoke api key", async (req, res) => {
+    const apiKey = await apiKeys.revoke(req.params.id);
+    if (!apiKey) return res.status(404).json({ ok: false, error: "API key no encontrada" });
+    res.json({ ok: true, apiKey });
+  }));
 
+  // Prometheus: fuera de /api para no pasar por el límite de solicitudes
+  app.get("/metrics", (_req, res) => {
+    res.type(PROMETHEUS_CONTENT_TYPE).send(metrics.render());
+  });
+
+  // raíz -> UI (con la cookie de sesión para que el frontend funcione sin key)
+  app.get("/", sessions.middleware, (_req, res) => res.redirect("/frontend/index.html"));
+
+  app.locals.config = cfg;
+  app.locals.api = Object.keys(apiProviders);
+  app.locals.log = log;
+  // Sin HTTP: la CLI (bin/mct.js) consulta y vigila con la misma lógica
+  app.locals.track = trackOne;
+  app.locals.watchlist = watchlist;
+  // Detiene el sondeo y cierra Chromium (el servidor HTTP lo cierra quien lo abrió)
+  app.close = async () => {
+    watchlist.stop();
+    await browserPool.close();
+  };
+  return app;
+}
@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+// CLI para scripts de almacén: consulta guías sin levantar el servidor HTTP. Arma la app con createApp,
+// así que usa la misma detección, enlace oficial, APIs, scraping, caché y límites que /api/track.
+//   mct track [paquetería|auto] <guía>                 una guía
+//   mct batch <archivo.csv|archivo.json|-> [--out resultados.json|.csv|.ndjson]
+//   mct watch [[paquetería] <guía> | --file archivo]   cambios como NDJSON; sin guías vigila la lista de DATA_DIR
+// Salida: 0 todo encontrado, 1 alguna guía no encontrada o inválida, 2 algún error, 64 uso incorrecto.
+import fs from "fs/promises";
+import { realpathSync } from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import { createApp } from "../app.js";
+import { createLogger } from "../lib/log.js";
+import { createQueue } from "../lib/queue.js";
+import { parseCsv, toCsv } from "../lib/csv.js";
+import { POLL_MINUTES } from "../lib/watchlist.js";
+
+export const EXIT = Object.freeze({ OK: 0, NOT_FOUND: 1, ERROR: 2, USAGE: 64 });
+
+const USAGE = `Uso:
+  mct track [paquetería|auto] <guía>
+  mct batch <archivo.csv|archivo.json|-> [--out archivo] [--concurrency N]
+  mct watch [[paquetería] <guía> | --file archivo] [--interval s] [--once]
+
+Opciones:
+  -o, --out <archivo>      escribe el resultado (formato según extensión: .json, .csv, .ndjson)
+  -f, --format <formato>   json | csv | ndjson (por omisión json)
+  -c, --concurrency <n>    consultas simultáneas (por omisión SCRAPE_CONCURRENCY)
+      --file <archivo>     guías a vigilar (CSV o JSON)
+      --interval <s>       segundos entre consultas en watch (por omisión 60)
+      --once               watch: una sola pasada por la lista de DATA_DIR
+      --fresh              ignora la caché
+      --link-only          solo detección y enlace oficial, como USE_SCRAPE=0 sin APIs
+`;
+
+const OPTIONS = {
+  out: { type: "string", short: "o" },
+  format: { type: "string", short: "f" },
+  concurrency: { type: "string", short: "c" },
+  file: { type: "string" },
+  interval: { type: "string" },
+  once: { type: "boolean" },
+  fresh: { type: "boolean" },
+  "link-only": { type: "boolean" },
+  help: { type: "boolean", short: "h" }
+};
+
+const FORMATS = ["json", "csv", "ndjson"];
+
+const CSV_COLUMNS = [
+  "carrier", "code", "ok", "status", "statusCode", "eta", "deliveredAt", "signedBy",
+  "origin", "destination", "source", "errorCode", "error", "alerts", "officialUrl"
+];
+
+function usageError(message) {
+  const err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+// { status, body } de trackOne -> código de salida. Solo enlace (SCRAPE_DISABLED) cuenta como encontrado.
+export function exitCodeOf({ status, body }) {
+  if (body.ok || body.errorCode === "SCRAPE_DISABLED") return EXIT.OK;
+  if (["NOT_FOUND", "INVALID_NUMBER"].includes(body.errorCode)) return EXIT.NOT_FOUND;
+  // Sin errorCode y 400: paquetería desconocida o no detectada
+  return status === 400 && !body.errorCode ? EXIT.NOT_FOUND : EXIT.ERROR;
+}
+
+const worst = (codes) => Math.max(EXIT.OK, ...codes);
+
+function formatOf(values) {
+  if (values.format) return values.format;
+  const ext = path.extname(values.out || "").toLowerCase();
+  return ext === ".csv" ? "csv" : ext === ".ndjson" || ext === ".jsonl" ? "ndjson" : "json";
+}
+
+// Resultados -> texto. En json una sola guía sale tal cual; un lote, como /api/track/batch
+function render(results, format, { single = false } = {}) {
+  if (format === "csv") {
+    return toCsv(results.map((r) => ({ ...r, alerts: (r.alerts || []).map((a) => a.rule).join("|") })), CSV_COLUMNS);
+  }
+  if (format === "ndjson") return results.map((r) => JSON.stringify(r) + "\n").join("");
+  return JSON.stringify(single ? results[0] : { ok: true, count: results.length, results }, null, 2) + "\n";
+}
+
+async function readText(file, stdin) {
+  if (file !== "-") return await fs.readFile(file, "utf8");
+  let text = "";
+  for await (const chunk of stdin) text += chunk;
+  return text;
+}
+
+// CSV (mismo formato que POST /api/track/batch) o JSON: [{ carrier, code }] o { items: [...] }
+async function readItems(file, stdin) {
+  const text = await readText(file, stdin);
+  if (path.extname(file).toLowerCase() === ".json" || /^\s*[[{]/.test(text)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw usageError(`JSON inválido en ${file}: ${e.message}`);
+    }
+    const items = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(items)) throw usageError(`${file}: se esperaba un arreglo de guías o { items: [...] }`);
+    return items;
+  }
+  return parseCsv(text);
+}
+
+// "<guía>" o "<paquetería> <guía>"
+function itemOf(args) {
+  if (!args.length || args.length > 2) throw usageError("Indica la guía: [paquetería|auto] <guía>");
+  return args.length === 1 ? { carrier: "auto", code: args[0] } : { carrier: args[0], code: args[1] };
+}
+
+function positive(value, name) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!(n > 0)) throw usageError(`--${name} debe ser un número mayor que 0`);
+  return n;
+}
+
+/* ---- Comandos ---- */
+
+async function track(app, args, values, io) {
+  const { carrier, code } = itemOf(args);
+  const result = await app.locals.track({ carrier, code, fresh: values.fresh });
+  await output([result.body], values, io, { single: true });
+  return exitCodeOf(result);
+}
+
+async function batch(app, args, values, io) {
+  if (args.length !== 1) throw usageError("Indica el archivo de guías (CSV o JSON, - para stdin)");
+  const items = await readItems(args[0], io.stdin);
+  if (!items.length) throw usageError(`${args[0]} no tiene guías`);
+
+  const queue = createQueue({ concurrency: positive(values.concurrency, "concurrency") || app.locals.config.scrapeConcurrency });
+  let done = 0;
+  const runItem = (item) =>
+    app.locals
+      .track({ carrier: item?.carrier, code: item?.code, fresh: item?.fresh ?? values.fresh })
+      .catch((e) => {
+        app.locals.log.error("batch item", { carrier: item?.carrier, code: item?.code, err: e });
+        return { status: 500, body: { ok: false, carrier: item?.carrier, code: item?.code, error: "Error interno" } };
+      })
+      .finally(() => {
+        done++;
+        if (io.stderr.isTTY) io.stderr.write(`\r${done}/${items.length}`);
+      });
+
+  // Mismo orden que el archivo de entrada
+  const results = await Promise.all(items.map((item) => queue.push(() => runItem(item))));
+  if (io.stderr.isTTY) io.stderr.write("\n");
+
+  const codes = results.map(exitCodeOf);
+  await output(results.map((r) => r.body), values, io);
+  const count = (code) => codes.filter((c) => c === code).length;
+  io.stderr.write(
+    `${results.length} guías: ${count(EXIT.OK)} encontradas, ${count(EXIT.NOT_FOUND)} no encontradas, ${count(EXIT.ERROR)} con error\n`
+  );
+  return worst(codes);
+}
+
+// Guías sueltas: una línea NDJSON cada vez que cambia el estatus; termina cuando todas llegan a un estatus
+// final (entregado, devuelto) o resultan no encontradas. Sin guías: sondea la lista de envíos de DATA_DIR.
+async function watch(app, args, values, io) {
+  const intervalMs = (positive(values.interval, "interval") || 60) * 1000;
+  const items = values.file ? await readItems(values.file, io.stdin) : args.length ? [itemOf(args)] : null;
+  const line = (data) => io.stdout.write(JSON.stringify({ at: new Date().toISOString(), ...data }) + "\n");
+
+  if (!items) {
+    const { watchlist } = app.locals;
+    const onChange = ({ shipment, changes, current }) => line({ event: "change", shipment, changes, current });
+    watchlist.on("change", onChange);
+    try {
+      do await watchlist.tick();
+      while (!values.once && (await io.pause(intervalMs)));
+    } finally {
+      watchlist.off("change", onChange);
+    }
+    return EXIT.OK;
+  }
+
+  // Firma de lo que se reporta: estatus, ETA, último evento o error
+  const signature = (b) => JSON.stringify([b.status, b.statusCode, b.eta, b.events?.[b.events.length - 1]?.timestamp, b.errorCode]);
+  const last = new Map();
+  const codes = [];
+  let pending = items.map((item, index) => ({ ...item, index }));
+  let fresh = values.fresh;
+  do {
+    const next = [];
+    for (const item of pending) {
+      const result = await app.locals.track({ carrier: item.carrier, code: item.code, fresh });
+      const { body } = result;
+      if (last.get(item.index) !== signature(body)) {
+        last.set(item.index, signature(body));
+        line({ event: "status", ...body });
+      }
+      const code = exitCodeOf(result);
+      // Final: entregado/devuelto (la lista vigilada deja de consultarlos), solo enlace o no encontrada
+      const final = body.ok ? POLL_MINUTES[body.statusCode] === null : code !== EXIT.ERROR || body.retryable === false;
+      if (final) codes.push(code);
+      else next.push(item);
+    }
+    pending = next;
+    // Las siguientes pasadas buscan cambios: sin caché
+    fresh = true;
+  } while (pending.length && (await io.pause(intervalMs)));
+  return worst(pending.length ? [...codes, EXIT.OK] : codes);
+}
+
+async function output(results, values, io, options) {
+  const format = formatOf(values);
+  if (!FORMATS.includes(format)) throw usageError(`--format debe ser ${FORMATS.join(", ")}`);
+  const text = render(results, format, options);
+  if (values.out) await fs.writeFile(values.out, text);
+  else io.stdout.write(text);
+}
+
+const COMMANDS = { track, batch, watch };
+
+// Espera ms o hasta SIGINT/SIGTERM; resuelve false si hay que terminar
+function signalPause() {
+  let stopped = false;
+  let wake = () => {};
+  const stop = () => {
+    stopped = true;
+    wake();
+  };
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+  const pause = (ms) =>
+    new Promise((resolve) => {
+      if (stopped) return resolve(false);
+      const timer = setTimeout(() => resolve(!stopped), ms);
+      wake = () => {
+        clearTimeout(timer);
+        resolve(false);
+      };
+    });
+  pause.dispose = () => {
+    process.off("SIGINT", stop);
+    process.off("SIGTERM", stop);
+  };
+  return pause;
+}
+
+// argv sin "node mct" -> código de salida. config sobrescribe la de createApp (pruebas, scripts)
+export async function run(argv, { stdout = process.stdout, stderr = process.stderr, stdin = process.stdin, pause, config = {} } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    stderr.write(`${e.message}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+  const { values, positionals } = parsed;
+  const [name, ...args] = positionals;
+  if (values.help) {
+    stdout.write(USAGE);
+    return EXIT.OK;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    stderr.write(`${name ? `Comando desconocido: ${name}\n\n` : ""}${USAGE}`);
+    return EXIT.USAGE;
+  }
+
+  const concurrency = Number(values.concurrency) || undefined;
+  // Los logs van a stderr: stdout queda para los resultados
+  const app = createApp({
+    log: createLogger({ level: config.logLevel || process.env.LOG_LEVEL || "warn", write: (l) => stderr.write(l + "\n") }),
+    ...config,
+    watch: false,
+    ...(concurrency && { scrapeConcurrency: concurrency }),
+    // Como USE_SCRAPE=0 y sin APIs oficiales: solo detección y enlace
+    ...(values["link-only"] && { useScrape: false, apiProviders: {} })
+  });
+  const waiter = pause ? null : signalPause();
+  try {
+    return await command(app, args, values, { stdout, stderr, stdin, pause: pause || waiter });
+  } catch (e) {
+    stderr.write(e.usage ? `${e.message}\n\n${USAGE}` : `Error: ${e.message}\n`);
+    return e.usage ? EXIT.USAGE : EXIT.ERROR;
+  } finally {
+    waiter?.dispose();
+    await app.close();
+  }
+}
+
+// node bin/mct.js o el enlace de npm (node_modules/.bin/mct): realpath resuelve el symlink
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
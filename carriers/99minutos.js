@@ -0,0 +1,45 @@
+// 99minutos
+import { cap, field, match } from "../lib/scrape.js";
+import { parseEvents } from "../lib/events.js";
+
+export default {
+  id: "99minutos",
+  name: "99minutos",
+  region: "mx",
+  aliases: ["99min"],
+  fields: ["status", "eta", "deliveredAt", "signedBy", "origin", "destination", "events"],
+
+  link: (code) => `https://tracking.99minutos.com/search/${encodeURIComponent(code)}`,
+
+  // Página "sin resultados" -> NOT_FOUND
+  notFound: /No encontramos (?:tu|la) (?:orden|gu[ií]a|env[ií]o)|Orden no encontrada/i,
+
+  // Número de orden numérico; el formato se cruza con otras paqueterías, de ahí la confianza baja
+  validate(code) {
+    if (!/^\d{10,13}$/.test(code)) return null;
+    return { checksum: null, confidence: 0.25, reason: "Orden 99minutos (10 a 13 dígitos)" };
+  },
+
+  // Extracción pura sobre el texto de la página (sin navegador): se prueba con test/fixtures
+  parse(text, { now } = {}) {
+    const status = cap(
+      field(text, "Estatus del envío|Estatus|Estado") ||
+      (match(text, /(?:^|\n)\s*(Entregado|En ruta|En camino|Recolectado|Orden creada)\b/i)?.[1])
+    );
+
+    const eta = field(text, "Entrega estimada|Fecha estimada de entrega");
+    const deliveredAt = field(text, "Entregado el|Fecha de entrega");
+    const signedBy = field(text, "Recibió|Recibido por");
+    const origin = field(text, "Origen|Recolección");
+    const destination = field(text, "Destino|Dirección de entrega");
+
+    const events = parseEvents(text, {
+      carrier: "99minutos",
+      now,
+      start: /Historial/i,
+      end: /^(¿Necesitas ayuda\?|Ayuda|Aviso de privacidad)/i
+    });
+
+    return { status, eta, deliveredAt, signedBy, origin, destination, events };
+  }
+};
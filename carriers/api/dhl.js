@@ -0,0 +1,60 @@
+// DHL Shipment Tracking - Unified (API key, sin OAuth). Credencial: DHL_API_KEY.
+import { STATUS, normalizeStatus } from "../../lib/status.js";
+import { apiDate } from "../../lib/carrier-api.js";
+import { trackError } from "../../lib/errors.js";
+
+// statusCode de la API -> STATUS.*; lo demás se normaliza por la descripción
+const CODES = {
+  "pre-transit": STATUS.LABEL_CREATED,
+  transit: STATUS.IN_TRANSIT,
+  delivered: STATUS.DELIVERED,
+  failure: STATUS.EXCEPTION
+};
+
+const statusOf = (code, description) => CODES[code] || normalizeStatus("dhl", description);
+const where = (l) => l?.address?.addressLocality || null;
+
+export default {
+  credentials: (env) =>
+    env.DHL_API_KEY ? { baseUrl: env.DHL_API_URL || "https://api-eu.dhl.com", apiKey: env.DHL_API_KEY } : null,
+
+  request: ({ baseUrl, apiKey }, code) => ({
+    url: `${baseUrl}/track/shipments?trackingNumber=${encodeURIComponent(code)}&language=es`,
+    init: { headers: { "DHL-API-Key": apiKey, accept: "application/json" } }
+  }),
+
+  map(json, { now } = {}) {
+    const shipment = json?.shipments?.[0];
+    // La API responde 404 para guías desconocidas; un arreglo vacío significa lo mismo
+    if (!shipment) throw trackError("NOT_FOUND", "DHL API: sin envíos para la guía");
+
+    const current = shipment.status || {};
+    const status = current.status || current.description || null;
+    const code = statusOf(current.statusCode, status);
+    const eta = apiDate("dhl", shipment.estimatedTimeOfDelivery, { now });
+    const delivered = apiDate("dhl", code === STATUS.DELIVERED ? current.timestamp : null, { now });
+
+    const events = (shipment.events || [])
+      .map((e) => ({
+        timestamp: apiDate("dhl", e.timestamp, { now }).iso,
+        location: where(e.location),
+        description: e.description || e.status || null,
+        statusCode: statusOf(e.statusCode, e.description || e.status)
+      }))
+      .filter((e) => e.timestamp)
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+    return {
+      status,
+      eta: eta.raw,
+      deliveredAt: delivered.raw,
+      signedBy: shipment.details?.proofOfDelivery?.signed?.name || null,
+      origin: where(shipment.origin),
+      destination: where(shipment.destination),
+      events,
+      statusCode: code,
+      ...(eta.iso && { etaIso: eta.iso, etaWindow: eta.window }),
+      ...(delivered.iso && { deliveredAtIso: delivered.iso })
+    };
+  }
+};
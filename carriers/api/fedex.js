@@ -0,0 +1,87 @@
+// FedEx Track API (OAuth client_credentials). Credenciales: FEDEX_API_KEY y FEDEX_API_SECRET.
+import { STATUS, normalizeStatus } from "../../lib/status.js";
+import { apiDate, place } from "../../lib/carrier-api.js";
+import { trackError } from "../../lib/errors.js";
+
+// latestStatusDetail.code -> STATUS.*; lo demás se normaliza por la descripción
+const CODES = {
+  OC: STATUS.LABEL_CREATED,
+  PU: STATUS.IN_TRANSIT,
+  IT: STATUS.IN_TRANSIT,
+  AR: STATUS.IN_TRANSIT,
+  DP: STATUS.IN_TRANSIT,
+  OD: STATUS.OUT_FOR_DELIVERY,
+  HL: STATUS.READY_FOR_PICKUP,
+  DL: STATUS.DELIVERED,
+  DE: STATUS.EXCEPTION,
+  SE: STATUS.EXCEPTION,
+  CD: STATUS.HELD_CUSTOMS,
+  RS: STATUS.RETURNED
+};
+
+const statusOf = (code, description) => CODES[code] || normalizeStatus("fedex", description);
+const where = (a) => (a ? place(a.city, a.stateOrProvinceCode, a.countryCode) : null);
+
+export default {
+  credentials: (env) =>
+    env.FEDEX_API_KEY && env.FEDEX_API_SECRET
+      ? { baseUrl: env.FEDEX_API_URL || "https://apis.fedex.com", clientId: env.FEDEX_API_KEY, clientSecret: env.FEDEX_API_SECRET }
+      : null,
+
+  token: ({ baseUrl, clientId, clientSecret }) => ({
+    url: `${baseUrl}/oauth/token`,
+    init: {
+      method: "POST",
+      headers: { "content-type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ grant_type: "client_credentials", client_id: clientId, client_secret: clientSecret })
+    }
+  }),
+
+  request: ({ baseUrl }, code, token) => ({
+    url: `${baseUrl}/track/v1/trackingnumbers`,
+    init: {
+      method: "POST",
+      headers: { "content-type": "application/json", authorization: `Bearer ${token}`, "x-locale": "es_MX" },
+      body: JSON.stringify({ includeDetailedScans: true, trackingInfo: [{ trackingNumberInfo: { trackingNumber: code } }] })
+    }
+  }),
+
+  map(json, { now } = {}) {
+    const result = json?.output?.completeTrackResults?.[0]?.trackResults?.[0];
+    if (!result) throw new Error("FedEx API: respuesta sin trackResults");
+    if (result.error) {
+      const message = `FedEx API: ${result.error.code || result.error.message}`;
+      if (/NOTFOUND|NOT\.FOUND/i.test(result.error.code)) throw trackError("NOT_FOUND", message);
+      throw new Error(message);
+    }
+
+    const latest = result.latestStatusDetail || {};
+    const status = latest.statusByLocale || latest.description || null;
+    const byType = (type) => result.dateAndTimes?.find((d) => d.type === type)?.dateTime;
+    const eta = apiDate("fedex", byType("ESTIMATED_DELIVERY"), { now });
+    const delivered = apiDate("fedex", byType("ACTUAL_DELIVERY"), { now });
+
+    const events = (result.scanEvents || [])
+      .map((e) => ({
+        timestamp: apiDate("fedex", e.date, { now }).iso,
+        location: where(e.scanLocation),
+        description: e.eventDescription || null,
+        statusCode: statusOf(e.derivedStatusCode || e.eventType, e.eventDescription)
+      }))
+      .filter((e) => e.timestamp)
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+    return {
+      status,
+      deliveredAt: delivered.raw,
+      signedBy: result.deliveryDetails?.receivedByName || null,
+      eta: eta.raw,
+      origin: where(result.originLocation?.locationContactAndAddress?.address),
+      destination: where(result.destinationLocation?.locationContactAndAddress?.address),
+      events,
+      statusCode: statusOf(latest.code, status),
+      ...(eta.iso && { etaIso: eta.iso, etaWindow: eta.window }),
+      ...(delivered.iso && { deliveredAtIso: delivered.iso })
+    };
+  }
+};
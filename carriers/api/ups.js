@@ -0,0 +1,103 @@
+// UPS Tracking API (OAuth client_credentials con Basic). Credenciales: UPS_CLIENT_ID y UPS_CLIENT_SECRET.
+import { randomUUID } from "crypto";
+import { STATUS, normalizeStatus } from "../../lib/status.js";
+import { apiDate, place } from "../../lib/carrier-api.js";
+import { trackError } from "../../lib/errors.js";
+
+// status.type -> STATUS.*; lo demás se normaliza por la descripción
+const TYPES = {
+  M: STATUS.LABEL_CREATED,
+  P: STATUS.IN_TRANSIT,
+  I: STATUS.IN_TRANSIT,
+  O: STATUS.OUT_FOR_DELIVERY,
+  D: STATUS.DELIVERED,
+  X: STATUS.EXCEPTION,
+  RS: STATUS.RETURNED
+};
+
+const statusOf = (type, description) => TYPES[type] || normalizeStatus("ups", description);
+const where = (a) => (a ? place(a.city, a.stateProvince, a.countryCode) : null);
+
+// "20250827" + "143000" -> "2025-08-27 14:30"
+function upsDate(date, time) {
+  if (!date) return null;
+  const d = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+  return time ? `${d} ${time.slice(0, 2)}:${time.slice(2, 4)}` : d;
+}
+
+export default {
+  credentials: (env) =>
+    env.UPS_CLIENT_ID && env.UPS_CLIENT_SECRET
+      ? { baseUrl: env.UPS_API_URL || "https://onlinetools.ups.com", clientId: env.UPS_CLIENT_ID, clientSecret: env.UPS_CLIENT_SECRET }
+      : null,
+
+  token: ({ baseUrl, clientId, clientSecret }) => ({
+    url: `${baseUrl}/security/v1/oauth/token`,
+    init: {
+      method: "POST",
+      headers: {
+        "content-type": "application/x-www-form-urlencoded",
+        authorization: "Basic " + Buffer.from(`${clientId}:${clientSecret}`).toString("base64")
+      },
+      body: new URLSearchParams({ grant_type: "client_credentials" })
+    }
+  }),
+
+  request: ({ baseUrl }, code, token) => ({
+    url: `${baseUrl}/api/track/v1/details/${encodeURIComponent(code)}?locale=es_MX`,
+    init: {
+      headers: { authorization: `Bearer ${token}`, transId: randomUUID(), transactionSrc: "multi-carrier-tracker" }
+    }
+  }),
+
+  map(json, { now } = {}) {
+    const pkg = json?.trackResponse?.shipment?.[0]?.package?.[0];
+    if (!pkg) {
+      const warning = json?.trackResponse?.shipment?.[0]?.warnings?.[0];
+      if (/not found|no se encontr/i.test(warning?.message)) throw trackError("NOT_FOUND", `UPS API: ${warning.message}`);
+      throw new Error(`UPS API: ${warning?.message || "respuesta sin package"}`);
+    }
+
+    const current = pkg.currentStatus || {};
+    const status = current.description || null;
+    const dateOf = (type) => pkg.deliveryDate?.find((d) => d.type === type)?.date;
+    const time = pkg.deliveryTime || {};
+
+    // Entregado: fecha DEL + hora de entrega; pendiente: fecha programada y su ventana horaria
+    const delivered = apiDate("ups", upsDate(dateOf("DEL"), time.type === "DEL" && time.endTime), { now });
+    const etaDate = delivered.raw ? null : dateOf("RDD") || dateOf("SDD");
+    const eta = apiDate("ups", upsDate(etaDate), { now });
+    const etaWindow =
+      etaDate && time.startTime && time.endTime
+        ? {
+            start: apiDate("ups", upsDate(etaDate, time.startTime), { now }).iso,
+            end: apiDate("ups", upsDate(etaDate, time.endTime), { now }).iso
+          }
+        : eta.window;
+
+    const address = (type) => pkg.packageAddress?.find((a) => a.type === type)?.address;
+
+    const events = (pkg.activity || [])
+      .map((a) => ({
+        timestamp: apiDate("ups", upsDate(a.date, a.time), { now }).iso,
+        location: where(a.location?.address),
+        description: a.status?.description || null,
+        statusCode: statusOf(a.status?.type, a.status?.description)
+      }))
+      .filter((e) => e.timestamp)
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+    return {
+      status,
+      eta: eta.raw,
+      deliveredAt: delivered.raw,
+      signedBy: pkg.deliveryInformation?.receivedBy || null,
+      origin: where(address("ORIGIN")),
+      destination: where(address("DESTINATION")),
+      events,
+      statusCode: statusOf(current.type || pkg.activity?.[0]?.status?.type, status),
+      ...(eta.iso && { etaIso: eta.iso, etaWindow }),
+      ...(delivered.iso && { deliveredAtIso: delivered.iso })
+    };
+  }
+};
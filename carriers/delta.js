@@ -0,0 +1,54 @@
+// Delta Cargo
+import { cap, match } from "../lib/scrape.js";
+import { parseEvents } from "../lib/events.js";
+import { mod7 } from "../lib/check-digits.js";
+
+export default {
+  id: "delta",
+  name: "Delta Cargo",
+  aliases: ["delta-cargo", "deltacargo"],
+  fields: ["status", "eta", "lastScan", "events"],
+
+  link: (code) => `https://www.deltacargo.com/Cargo/trackShipment?airbillnumber=${encodeURIComponent(code)}`,
+
+  // Página "sin resultados" -> NOT_FOUND
+  notFound: /No (?:records|results) (?:were )?found|Air ?waybill not found|No se encontraron (?:registros|resultados)/i,
+
+  // AWB: prefijo de aerolínea 006 + serial de 8 (7 + verificador mod 7)
+  validate(code) {
+    if (!/^006\d{8}$/.test(code)) return null;
+    const checksum = mod7(code.slice(3));
+    return { checksum, confidence: checksum ? 0.95 : 0.3, reason: "AWB Delta Cargo (006)" };
+  },
+
+  // Extracción pura sobre el texto de la página (sin navegador): se prueba con test/fixtures
+  parse(text, { now } = {}) {
+    const status = cap(
+      (match(text, /(?:^|\n)\s*Estado\s*[:\-]?\s*([^\n]+)/i)?.[1]) ||
+      (match(text, /(?:^|\n)\s*(En tránsito|Entregado|Listo|En bodega)\b/i)?.[1]) ||
+      (match(text, /(?:^|\n)\s*(In Transit|Delivered|Ready|At warehouse)\b/i)?.[1])
+    );
+
+    const eta = cap(
+      (match(text, /(?:^|\n)\s*Fecha (?:estimada|prevista)\s*[:\-]?\s*([^\n]+)/i)?.[1]) ||
+      (match(text, /(?:^|\n)\s*Estimated (?:date|time)\s*[:\-]?\s*([^\n]+)/i)?.[1]) ||
+      null
+    );
+
+    const lastScan = cap(
+      (match(text, /(?:^|\n)\s*(Última actualización|Last update)\s*[:\-]?\s*([^\n]+)/i)?.[2]) ||
+      null
+    );
+
+    // Tabla de movimientos: estación, estatus y fecha/hora por renglón
+    const events = parseEvents(text, {
+      carrier: "delta",
+      now,
+      start: /Historial del envío|Shipment History|Tracking Details/i,
+      end: /^(Detalles del envío|Shipment Details|Contact)/i,
+      dateLast: true
+    });
+
+    return { status, eta, lastScan, events };
+  }
+};
@@ -0,0 +1,56 @@
+// DHL Express
+import { cap, match } from "../lib/scrape.js";
+import { parseEvents } from "../lib/events.js";
+import { mod7 } from "../lib/check-digits.js";
+import api from "./api/dhl.js";
+
+export default {
+  id: "dhl",
+  name: "DHL",
+  aliases: ["dhl-express"],
+  fields: ["status", "eta", "deliveredAt", "events"],
+
+  link: (code) => `https://www.dhl.com/mx-es/home/rastreo.html?tracking-id=${encodeURIComponent(code)}`,
+
+  // Página "sin resultados" -> NOT_FOUND
+  notFound: /Lo sentimos, su intento de rastreo no tuvo [eé]xito|Sorry, your tracking attempt was not successful|No se encontraron resultados/i,
+
+  // API oficial opcional (credenciales por entorno); sin ellas se usa parse()
+  api,
+
+  // Guía aérea de 10 dígitos
+  validate(code) {
+    if (!/^\d{10}$/.test(code)) return null;
+    const checksum = mod7(code);
+    return { checksum, confidence: checksum ? 0.8 : 0.2, reason: "DHL Express (10 dígitos)" };
+  },
+
+  // Extracción pura sobre el texto de la página (sin navegador): se prueba con test/fixtures
+  parse(text, { now } = {}) {
+    const status = cap(
+      (match(text, /(?:^|\n)\s*Estado\s*[:\-]?\s*([^\n]+)/i)?.[1]) ||
+      (match(text, /(?:^|\n)\s*(En tránsito|Entregado|Listo para la entrega)\b/i)?.[1]) ||
+      (match(text, /(?:^|\n)\s*(In transit|Delivered|Out for delivery)\b/i)?.[1])
+    );
+
+    const eta = cap(
+      (match(text, /Fecha de entrega (?:estimada|prevista)\s*[:\-]?\s*([^\n]+)/i)?.[1]) ||
+      (match(text, /Estimated delivery\s*[:\-]?\s*([^\n]+)/i)?.[1]) ||
+      null
+    );
+
+    const deliveredAt = cap(
+      (match(text, /(?:^|\n)\s*Entregado\s*(?:el|on)\s*([^\n]+)/i)?.[1]) ||
+      null
+    );
+
+    const events = parseEvents(text, {
+      carrier: "dhl",
+      now,
+      start: /Todos los eventos del envío|Historial del envío|All shipment updates|Shipment history/i,
+      end: /^(Más detalles del envío|More shipment details|Detalles del envío)/i
+    });
+
+    return { status, eta, deliveredAt, events };
+  }
+};
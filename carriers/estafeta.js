@@ -0,0 +1,51 @@
+// Estafeta
+import { cap, field, match } from "../lib/scrape.js";
+import { parseEvents } from "../lib/events.js";
+
+export default {
+  id: "estafeta",
+  name: "Estafeta",
+  region: "mx",
+  aliases: [],
+  fields: ["status", "eta", "deliveredAt", "signedBy", "origin", "destination", "events"],
+
+  // wayBillType: 0 = número de guía (22 caracteres), 1 = código de rastreo (10 dígitos)
+  link: (code) => {
+    const c = String(code).trim();
+    const type = /^\d{10}$/.test(c) ? 1 : 0;
+    return `https://cs.estafeta.com/es/Tracking/searchByGet?wayBill=${encodeURIComponent(c)}&wayBillType=${type}&isShipmentDetail=False`;
+  },
+
+  // Página "sin resultados" -> NOT_FOUND
+  notFound: /No hay informaci[oó]n disponible|La gu[ií]a no existe|No se encontr[oó] informaci[oó]n/i,
+
+  // Sin dígito verificador público: solo formato
+  validate(code) {
+    if (/^[0-9A-Z]{22}$/.test(code)) return { checksum: null, confidence: 0.7, reason: "Guía Estafeta (22 caracteres)" };
+    if (/^\d{10}$/.test(code)) return { checksum: null, confidence: 0.3, reason: "Código de rastreo Estafeta (10 dígitos)" };
+    return null;
+  },
+
+  // Extracción pura sobre el texto de la página (sin navegador): se prueba con test/fixtures
+  parse(text, { now } = {}) {
+    const status = cap(
+      field(text, "Estatus del servicio|Estatus del envío|Estatus") ||
+      (match(text, /(?:^|\n)\s*(Entregado|En proceso de entrega|Pendiente en tránsito)\b/i)?.[1])
+    );
+
+    const eta = field(text, "Fecha programada de entrega|Fecha estimada de entrega");
+    const deliveredAt = field(text, "Fecha y hora de entrega|Fecha de entrega");
+    const signedBy = field(text, "Recibió|Recibido por");
+    const origin = field(text, "Origen");
+    const destination = field(text, "Destino");
+
+    const events = parseEvents(text, {
+      carrier: "estafeta",
+      now,
+      start: /Historia|Historial de movimientos/i,
+      end: /^(Preguntas frecuentes|Aviso de privacidad)/i
+    });
+
+    return { status, eta, deliveredAt, signedBy, origin, destination, events };
+  }
+};
@@ -0,0 +1,109 @@
+// Expeditors: la página de rastreo es un formulario (tipo de referencia + número), no una URL por guía.
+// navigate() llena el formulario; si el tipo inferido no da resultados prueba los demás.
+import { cap, field, match, sanitize, readBodyText } from "../lib/scrape.js";
+import { parseEvents } from "../lib/events.js";
+
+// Tipos de referencia en el orden en que se prueban, con la etiqueta del <select>
+export const REFERENCE_TYPES = {
+  container: /container/i,
+  houseBill: /house\s*(?:bill|b\/?l|waybill)/i,
+  booking: /booking/i,
+  purchaseOrder: /purchase\s*order|\bPO\b/i
+};
+
+const NO_RESULTS = /No (?:results|records|shipments?) (?:were )?found|No se encontraron/i;
+
+// Contenedor ISO 6346 (4 letras, la última U/J/Z, + 7 dígitos); house bill numérico; resto booking/PO
+export function referenceTypesFor(code) {
+  const c = String(code || "").toUpperCase().replace(/[\s-]+/g, "");
+  let first = "purchaseOrder";
+  if (/^[A-Z]{3}[UJZ]\d{7}$/.test(c)) first = "container";
+  else if (/^\d{8,12}$/.test(c)) first = "houseBill";
+  else if (/^[A-Z]{2,4}\d{6,}$/.test(c)) first = "booking";
+  return [first, ...Object.keys(REFERENCE_TYPES).filter((t) => t !== first)];
+}
+
+async function submitReference(page, type, code) {
+  // Selector de tipo: el <select> que tenga una opción con la etiqueta buscada
+  const select = page.locator("select").filter({ has: page.locator("option", { hasText: REFERENCE_TYPES[type] }) }).first();
+  if (await select.count()) {
+    const label = await select.locator("option", { hasText: REFERENCE_TYPES[type] }).first().textContent();
+    await select.selectOption({ label: label.trim() });
+  } else {
+    // Variante con pestañas/radios
+    await page.getByText(REFERENCE_TYPES[type]).first().click({ timeout: 5000 }).catch(() => {});
+  }
+
+  const input = page.locator("input[type=text], input[type=search], input:not([type])").first();
+  await input.fill(code);
+  const submit = page.getByRole("button", { name: /track|search|buscar|rastrear/i }).first();
+  if (await submit.count()) await submit.click();
+  else await input.press("Enter");
+
+  await page.waitForLoadState("networkidle", { timeout: 20000 }).catch(() => {});
+  await page
+    .waitForFunction((re) => new RegExp(re, "i").test(document.body.innerText), "Status|Milestones|No (?:results|records)|No se encontraron", { timeout: 20000 })
+    .catch(() => {});
+  return sanitize(await readBodyText(page));
+}
+
+export default {
+  id: "expeditors",
+  name: "Expeditors",
+  aliases: [],
+  fields: [
+    "status", "referenceType", "mode", "origin", "destination", "vessel", "voyage", "flight",
+    "etd", "atd", "eta", "ata", "events"
+  ],
+
+  link: () => "https://www.expeditors.com/tracking",
+
+  // Página "sin resultados" -> NOT_FOUND (tras probar todos los tipos de referencia)
+  notFound: NO_RESULTS,
+
+  async navigate(page, { url, code }) {
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 45000 });
+    await page.waitForLoadState("networkidle", { timeout: 20000 }).catch(() => {});
+
+    let text = "";
+    for (const type of referenceTypesFor(code)) {
+      text = await submitReference(page, type, code);
+      if (!NO_RESULTS.test(text)) return { text, html: await page.content(), meta: { referenceType: type } };
+      await page.goto(url, { waitUntil: "domcontentloaded", timeout: 45000 });
+    }
+    return { text, html: await page.content(), meta: { referenceType: null } };
+  },
+
+  // Extracción pura sobre el texto de la página (sin navegador): se prueba con test/fixtures
+  parse(text, { now } = {}) {
+    const status = cap(
+      (match(text, /(?:^|\n)\s*Status\s*[:\-]?\s*([^\n]+)/i)?.[1]) ||
+      (match(text, /(?:^|\n)\s*(Delivered|In Transit|Available|Ready)/i)?.[1]) ||
+      (match(text, /(?:^|\n)\s*(Entregado|En tránsito|Disponible|Listo)/i)?.[1]) ||
+      null
+    );
+
+    const origin = field(text, "Port of Loading|Origin|Puerto de carga|Origen");
+    const destination = field(text, "Port of Discharge|Destination|Puerto de descarga|Destino");
+
+    // Marítimo: "Vessel: MAERSK ESSEN / Voyage 532E"; aéreo: "Flight: DL 0565"
+    const vesselLine = field(text, "Vessel|Buque");
+    const vessel = vesselLine ? cap(vesselLine.split(/\s*\/\s*|\s+Voyage\b/i)[0]) : null;
+    const voyage = field(text, "Voyage|Viaje") || vesselLine?.match(/Voyage[:\s]+(\S+)/i)?.[1] || null;
+    const flight = field(text, "Flight|Vuelo");
+    const mode = vessel || voyage ? "ocean" : flight ? "air" : null;
+
+    const etd = field(text, "ETD|Estimated Departure|Salida estimada");
+    const atd = field(text, "ATD|Actual Departure|Salida real");
+    const eta = field(text, "ETA|Estimated Arrival|Llegada estimada");
+    const ata = field(text, "ATA|Actual Arrival|Llegada real");
+
+    const events = parseEvents(text, {
+      carrier: "expeditors",
+      now,
+      start: /Milestones|Hitos|History/i
+    });
+
+    return { status, mode, origin, destination, vessel, voyage, flight, etd, atd, eta, ata, events };
+  }
+};
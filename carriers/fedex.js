@@ -0,0 +1,94 @@
+// FedEx
+import { cap, match } from "../lib/scrape.js";
+import { parseEvents } from "../lib/events.js";
+import { fedex12, mod10 } from "../lib/check-digits.js";
+import api from "./api/fedex.js";
+
+export default {
+  id: "fedex",
+  name: "FedEx",
+  aliases: [],
+  fields: ["status", "deliveredAt", "signedBy", "eta", "origin", "destination", "events"],
+
+  link: (code) => `https://www.fedex.com/fedextrack/?trknbr=${encodeURIComponent(code)}&cntry_code=mx_esp`,
+
+  // Página "sin resultados" -> NOT_FOUND
+  notFound: /No se encontr[oó] informaci[oó]n para este n[uú]mero|Unable to retrieve tracking information|No record of this tracking number/i,
+
+  // API oficial opcional (credenciales por entorno); sin ellas se usa parse()
+  api,
+
+  // 12 (Express), 15 (Ground) o 20 (SmartPost) dígitos
+  validate(code) {
+    if (/^\d{12}$/.test(code)) {
+      const checksum = fedex12(code);
+      return { checksum, confidence: checksum ? 0.8 : 0.15, reason: "FedEx Express (12 dígitos)" };
+    }
+    if (/^\d{15}$/.test(code)) {
+      const checksum = mod10(code);
+      return { checksum, confidence: checksum ? 0.8 : 0.15, reason: "FedEx Ground (15 dígitos)" };
+    }
+    if (/^\d{20}$/.test(code)) {
+      // SmartPost omite el identificador de aplicación "92", que sí entra en el cálculo
+      const checksum = mod10("92" + code);
+      return { checksum, confidence: checksum ? 0.75 : 0.15, reason: "FedEx SmartPost (20 dígitos)" };
+    }
+    return null;
+  },
+
+  // Extracción pura sobre el texto de la página (sin navegador): se prueba con test/fixtures
+  parse(text, { now } = {}) {
+    const status = cap(
+      (match(text, /(?:^|\n)\s*Estado de la entrega\s*([^\n]+)/i)?.[1]) ||
+      (match(text, /(?:^|\n)\s*(Entregado|En camino|Listo para la entrega)\b/i)?.[1]) ||
+      (match(text, /(?:^|\n)\s*(Delivered|In transit|On vehicle for delivery)\b/i)?.[1])
+    );
+
+    // Permite que “El 27/08/25 …” esté en la línea posterior al bloque “ENTREGADO”.
+    // “Entregado el/on <fecha>” debe ir en el mismo renglón: con \s* y el/on opcionales, el renglón de
+    // estatus “Entregado” tomaba el siguiente (“ENTREGADO MONTERREY, NL MX”) como fecha de entrega.
+    const deliveredAt = cap(
+      (match(text, /(?:^|\n)[ \t]*Entregado[ \t]+(?:el|on)[ \t]+([^\n]+)/i)?.[1]) ||
+      (match(text, /ENTREGADO[\s\S]{0,120}?El\s+([^\n]+)/i)?.[1]) ||
+      (match(text, /Delivered[\s\S]{0,120}?(?:on)?\s+([^\n]+)/i)?.[1])
+    );
+
+    const signedBy = cap(
+      (match(text, /(?:^|\n)\s*Firmado por[:\s]+([A-ZÁÉÍÓÚÑ .-]{3,})/i)?.[1]) ||
+      (match(text, /(?:^|\n)\s*Signed by[:\s]+([A-Za-z .-]{3,})/i)?.[1])
+    );
+
+    const origin = cap(
+      (match(text, /(?:^|\n)\s*DESDE\s*([A-ZÁÉÍÓÚÑ ,.-]+)\b/)?.[1]) ||
+      (match(text, /(?:^|\n)\s*FROM\s*([A-Z ,.-]+)\b/)?.[1])
+    );
+
+    // Destino: prioriza “ENTREGADO <LUGAR>”
+    let destination = cap(
+      (match(text, /(?:^|\n)\s*ENTREGADO\s*([A-ZÁÉÍÓÚÑ ,.-]+)\b/)?.[1])
+    );
+    if (!destination) {
+      destination = cap(
+        (match(text, /(?:^|\n)\s*LISTO PARA LA ENTREGA\s*([A-ZÁÉÍÓÚÑ ,.-]+)\b/)?.[1]) ||
+        (match(text, /(?:^|\n)\s*EN CAMINO\s*([A-ZÁÉÍÓÚÑ ,.-]+)\b/)?.[1]) ||
+        (match(text, /(?:^|\n)\s*TO\s*([A-Z ,.-]+)\b/)?.[1])
+      );
+    }
+    if (destination && /main content/i.test(destination)) destination = null;
+
+    const eta = cap(
+      (match(text, /Entrega (?:estimada|prevista|programada)\s*[:\-]?\s*([^\n]+)/i)?.[1]) ||
+      (match(text, /Estimated delivery\s*[:\-]?\s*([^\n]+)/i)?.[1]) ||
+      null
+    );
+
+    const events = parseEvents(text, {
+      carrier: "fedex",
+      now,
+      start: /Historial de viaje|Travel history/i,
+      end: /^(Detalles del envío|Shipment facts)/i
+    });
+
+    return { status, deliveredAt, signedBy, eta, origin, destination, events };
+  }
+};
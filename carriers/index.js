@@ -0,0 +1,51 @@
+// Registro de paqueterías. Cada adaptador (carriers/<id>.js) declara:
+//   id, name, aliases[], fields[]        identificación y campos que puede extraer
+//   region?                              "mx" para paqueterías nacionales (por omisión "intl")
+//   link(code)                           URL oficial de rastreo
+//   notFound?                            RegExp de la página "sin resultados" (error NOT_FOUND)
+//   validate(code)?                      formato/verificador -> { checksum, confidence, reason } | null
+//                                        (checksum null si el formato no tiene dígito verificador)
+//   navigate(page, { url, code })?       para páginas con formulario -> { text, html, meta? }
+//   parse(text, { now })                 extracción pura sobre el texto de la página
+//   api?                                 API oficial opcional (carriers/api/<id>.js, ver lib/carrier-api.js)
+// En parse() se usan match()/field() de lib/scrape.js en lugar de text.match() para que ?debug=1
+// pueda decir qué patrón produjo cada campo.
+// Para agregar una paquetería basta con crear su módulo y listarlo aquí.
+import dhl from "./dhl.js";
+import fedex from "./fedex.js";
+import ups from "./ups.js";
+import delta from "./delta.js";
+import expeditors from "./expeditors.js";
+import estafeta from "./estafeta.js";
+import paquetexpress from "./paquetexpress.js";
+import redpack from "./redpack.js";
+import minutos99 from "./99minutos.js";
+
+const ADAPTERS = [dhl, fedex, ups, delta, expeditors, estafeta, paquetexpress, redpack, minutos99];
+
+const byKey = new Map();
+for (const adapter of ADAPTERS) {
+  for (const key of [adapter.id, ...(adapter.aliases || [])]) {
+    if (byKey.has(key)) throw new Error(`Alias de paquetería duplicado: ${key}`);
+    byKey.set(key, adapter);
+  }
+}
+
+export function listCarriers() {
+  return ADAPTERS;
+}
+
+// Adaptador por id o alias (sin distinguir mayúsculas), o null
+export function getCarrier(carrier) {
+  return byKey.get(String(carrier || "").trim().toLowerCase()) || null;
+}
+
+export function officialLink(carrier, code) {
+  return getCarrier(carrier)?.link(code) ?? null;
+}
+
+// Lo que expone GET /api/carriers
+export function describeCarrier(adapter) {
+  const { id, name, region = "intl", aliases = [], fields = [] } = adapter;
+  return { id, name, region, aliases, fields, detectable: typeof adapter.validate === "function" };
+}
@@ -0,0 +1,45 @@
+// Paquetexpress
+import { cap, field, match } from "../lib/scrape.js";
+import { parseEvents } from "../lib/events.js";
+
+export default {
+  id: "paquetexpress",
+  name: "Paquetexpress",
+  region: "mx",
+  aliases: ["paquete-express"],
+  fields: ["status", "eta", "deliveredAt", "signedBy", "origin", "destination", "events"],
+
+  link: (code) => `https://www.paquetexpress.com.mx/rastreo/${encodeURIComponent(code)}`,
+
+  // Página "sin resultados" -> NOT_FOUND
+  notFound: /No se encontr[oó] informaci[oó]n|Gu[ií]a no encontrada/i,
+
+  // Clave de plaza (3 letras) + consecutivo; sin dígito verificador público
+  validate(code) {
+    if (!/^[A-Z]{3}\d{9,12}$/.test(code)) return null;
+    return { checksum: null, confidence: 0.6, reason: "Guía Paquetexpress (plaza + consecutivo)" };
+  },
+
+  // Extracción pura sobre el texto de la página (sin navegador): se prueba con test/fixtures
+  parse(text, { now } = {}) {
+    const status = cap(
+      field(text, "Estatus de la guía|Estatus|Estado") ||
+      (match(text, /(?:^|\n)\s*(ENTREGADO|EN RUTA DE ENTREGA|EN TRÁNSITO|RECOLECTADO)\b/i)?.[1])
+    );
+
+    const eta = field(text, "Fecha estimada de entrega|Entrega estimada|Fecha promesa");
+    const deliveredAt = field(text, "Fecha de entrega");
+    const signedBy = field(text, "Recibió|Recibido por|Nombre de quien recibe");
+    const origin = field(text, "Origen|Sucursal origen");
+    const destination = field(text, "Destino|Sucursal destino");
+
+    const events = parseEvents(text, {
+      carrier: "paquetexpress",
+      now,
+      start: /Historial de movimientos|Movimientos|Rastreo detallado/i,
+      end: /^(Cotiza|Aviso de privacidad|Contacto)/i
+    });
+
+    return { status, eta, deliveredAt, signedBy, origin, destination, events };
+  }
+};
@@ -0,0 +1,45 @@
+// Redpack
+import { cap, field, match } from "../lib/scrape.js";
+import { parseEvents } from "../lib/events.js";
+
+export default {
+  id: "redpack",
+  name: "Redpack",
+  region: "mx",
+  aliases: [],
+  fields: ["status", "eta", "deliveredAt", "signedBy", "origin", "destination", "events"],
+
+  link: (code) => `https://www.redpack.com.mx/es/rastreo/?guias=${encodeURIComponent(code)}`,
+
+  // Página "sin resultados" -> NOT_FOUND
+  notFound: /No se encontraron resultados|Gu[ií]a no encontrada/i,
+
+  // Guía numérica de 9 dígitos; sin dígito verificador público
+  validate(code) {
+    if (!/^\d{9}$/.test(code)) return null;
+    return { checksum: null, confidence: 0.55, reason: "Guía Redpack (9 dígitos)" };
+  },
+
+  // Extracción pura sobre el texto de la página (sin navegador): se prueba con test/fixtures
+  parse(text, { now } = {}) {
+    const status = cap(
+      field(text, "Estatus|Estado") ||
+      (match(text, /(?:^|\n)\s*(Entregado|En tránsito|En ruta de entrega)\b/i)?.[1])
+    );
+
+    const eta = field(text, "Fecha estimada de entrega|Entrega estimada");
+    const deliveredAt = field(text, "Fecha de entrega");
+    const signedBy = field(text, "Recibió|Recibido por");
+    const origin = field(text, "Origen");
+    const destination = field(text, "Destino");
+
+    const events = parseEvents(text, {
+      carrier: "redpack",
+      now,
+      start: /Detalle de movimientos|Historial/i,
+      end: /^(Preguntas frecuentes|Aviso de privacidad)/i
+    });
+
+    return { status, eta, deliveredAt, signedBy, origin, destination, events };
+  }
+};
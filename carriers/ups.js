@@ -0,0 +1,69 @@
+// UPS
+import { cap, match } from "../lib/scrape.js";
+import { parseEvents } from "../lib/events.js";
+import { ups1Z } from "../lib/check-digits.js";
+import api from "./api/ups.js";
+
+export default {
+  id: "ups",
+  name: "UPS",
+  aliases: [],
+  fields: ["status", "eta", "deliveredAt", "signedBy", "destination", "events"],
+
+  link: (code) => `https://www.ups.com/track?loc=es_MX&tracknum=${encodeURIComponent(code)}&requester=ST/`,
+
+  // Página "sin resultados" -> NOT_FOUND
+  notFound: /No pudimos (?:encontrar|localizar)|could not locate the shipment|tracking number you entered is not valid/i,
+
+  // API oficial opcional (credenciales por entorno); sin ellas se usa parse()
+  api,
+
+  // 1Z + cuenta (6) + servicio (2) + paquete (7) + verificador
+  validate(code) {
+    if (!/^1Z[0-9A-Z]{16}$/.test(code)) return null;
+    const checksum = ups1Z(code);
+    return { checksum, confidence: checksum ? 0.99 : 0.4, reason: "UPS 1Z" };
+  },
+
+  // Extracción pura sobre el texto de la página (sin navegador): se prueba con test/fixtures
+  parse(text, { now } = {}) {
+    const status = cap(
+      (match(text, /(?:^|\n)\s*Estado\s*[:\-]?\s*([^\n]+)/i)?.[1]) ||
+      (match(text, /(?:^|\n)\s*(Entregado|En tránsito|Listo para entrega)\b/i)?.[1]) ||
+      (match(text, /(?:^|\n)\s*(Delivered|In Transit|Out for Delivery)\b/i)?.[1])
+    );
+
+    const eta = cap(
+      (match(text, /Entrega (?:estimada|prevista)\s*[:\-]?\s*([^\n]+)/i)?.[1]) ||
+      (match(text, /Estimated Delivery\s*[:\-]?\s*([^\n]+)/i)?.[1]) ||
+      null
+    );
+
+    const deliveredAt = cap(
+      (match(text, /(?:^|\n)\s*Entregado\s*(?:el|on)\s*([^\n]+)/i)?.[1]) ||
+      (match(text, /(?:^|\n)\s*Delivered\s*(?:on)\s*([^\n]+)/i)?.[1]) ||
+      null
+    );
+
+    const signedBy = cap(
+      (match(text, /(?:^|\n)\s*Firmado por[:\s]+([A-ZÁÉÍÓÚÑ .-]{3,})/i)?.[1]) ||
+      (match(text, /(?:^|\n)\s*Signed by[:\s]+([A-Za-z .-]{3,})/i)?.[1]) ||
+      null
+    );
+
+    let destination = cap(
+      (match(text, /(?:^|\n)\s*ENTREGADO\s*([A-ZÁÉÍÓÚÑ ,.-]+)\b/)?.[1]) ||
+      (match(text, /(?:^|\n)\s*DELIVERED\s*([A-Z ,.-]+)\b/)?.[1])
+    );
+    if (destination && /main content/i.test(destination)) destination = null;
+
+    const events = parseEvents(text, {
+      carrier: "ups",
+      now,
+      start: /Progreso del envío|Shipment Progress/i,
+      end: /^(Detalles adicionales|Additional Information|Detalles del envío|Shipment Details)/i
+    });
+
+    return { status, eta, deliveredAt, signedBy, destination, events };
+  }
+};
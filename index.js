@@ -1,6 +0,0 @@
-import('./server.js').then(({ default: app }) => {
-  const port = process.env.PORT || 3000;
-  app.listen(port, () => {
-    console.log(`Server is running on port ${port}`);
-  });
-});
@@ -0,0 +1,127 @@
+// Alertas de envíos con problemas: ETA vencida sin entrega, demasiadas horas sin escaneo, estatus de
+// excepción y palabras clave en el estatus o el último evento. Reglas por paquetería, sobrescribibles.
+import { STATUS } from "./status.js";
+
+export const SEVERITY = Object.freeze({ INFO: "info", WARNING: "warning", CRITICAL: "critical" });
+const SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 };
+
+export const EXCEPTION_KEYWORDS = [
+  "retenido en aduana",
+  "dirección incorrecta",
+  "dirección incompleta",
+  "destinatario ausente",
+  "no se pudo entregar",
+  "rechazado por el destinatario",
+  "dañado",
+  "extraviado",
+  "delivery exception",
+  "held in customs",
+  "incorrect address",
+  "unable to deliver",
+  "refused by recipient",
+  "damaged",
+  "lost"
+];
+
+// default + una entrada por paquetería con solo lo que cambia. enabled: false apaga una regla.
+export const ALERT_RULES = {
+  default: {
+    etaPassed: { severity: SEVERITY.WARNING, graceHours: 6 },
+    noScan: { severity: SEVERITY.WARNING, hours: 72 },
+    // Estatus canónico -> severidad
+    exceptionStatus: { statusCodes: { [STATUS.EXCEPTION]: SEVERITY.CRITICAL, [STATUS.HELD_CUSTOMS]: SEVERITY.WARNING, [STATUS.RETURNED]: SEVERITY.WARNING } },
+    keywords: { severity: SEVERITY.CRITICAL, patterns: EXCEPTION_KEYWORDS }
+  },
+  // Carga marítima/aérea: pasan días entre eventos sin que sea un problema
+  expeditors: { noScan: { hours: 240 }, etaPassed: { graceHours: 48 } },
+  delta: { noScan: { hours: 48 } },
+  // Entregas el mismo día o al día siguiente
+  "99minutos": { noScan: { hours: 24 }, etaPassed: { graceHours: 2 } },
+  paquetexpress: { noScan: { hours: 48 } },
+  redpack: { noScan: { hours: 48 } }
+};
+
+// Sin acentos y en minúsculas: "DIRECCION INCORRECTA" coincide con "dirección incorrecta"
+const fold = (s) => String(s).normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+
+// Frase completa, no dentro de otra palabra ("lost" no coincide con "closet")
+const phraseRe = (p) => new RegExp(`(?<![\\p{L}\\d])${fold(p).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?![\\p{L}\\d])`, "u");
+
+function mergeRules(...layers) {
+  const out = {};
+  for (const layer of layers) {
+    for (const [rule, options] of Object.entries(layer || {})) out[rule] = { ...out[rule], ...options };
+  }
+  return out;
+}
+
+const hoursBetween = (from, to) => Math.floor((to - from) / 3600000);
+
+// overrides: misma forma que ALERT_RULES (p. ej. desde ALERT_RULES_FILE)
+export function createAlertEngine({ overrides = {} } = {}) {
+  const cache = new Map();
+
+  function rulesFor(carrier) {
+    if (!cache.has(carrier)) {
+      cache.set(carrier, mergeRules(ALERT_RULES.default, ALERT_RULES[carrier], overrides.default, overrides[carrier]));
+    }
+    return cache.get(carrier);
+  }
+
+  // Detalles de /api/track (o los guardados en la lista vigilada) -> alertas ordenadas por severidad
+  function evaluate(carrier, details, { now = new Date() } = {}) {
+    if (!details) return [];
+    const rules = rulesFor(carrier);
+    const alerts = [];
+    const on = (name) => rules[name] && rules[name].enabled !== false;
+    const delivered = details.statusCode === STATUS.DELIVERED || Boolean(details.deliveredAt);
+    if (delivered) return alerts;
+    // Devuelto: ya no se espera entrega ni más escaneos, solo queda la alerta de estatus
+    const returned = details.statusCode === STATUS.RETURNED;
+
+    const events = details.events || [];
+    const last = events[events.length - 1];
+
+    if (on("exceptionStatus")) {
+      const severity = rules.exceptionStatus.statusCodes?.[details.statusCode];
+      if (severity) {
+        alerts.push({ rule: "exception_status", severity, message: `Estatus de la paquetería: ${details.status || details.statusCode}`, statusCode: details.statusCode });
+      }
+    }
+
+    if (on("keywords")) {
+      // Solo el estatus y el último evento: una excepción anterior ya pudo resolverse
+      const places = [["status", details.status], ["event", last?.description]];
+      const patterns = rules.keywords.patterns || [];
+      for (const [where, text] of places) {
+        const hit = text && patterns.find((p) => phraseRe(p).test(fold(text)));
+        if (!hit) continue;
+        alerts.push({ rule: "keyword", severity: rules.keywords.severity, message: `"${hit}" en ${where === "status" ? "el estatus" : "el último evento"}`, keyword: hit, where, text });
+        break;
+      }
+    }
+
+    // ETA: fin de la ventana si la hay, si no la fecha estimada
+    const eta = Date.parse(details.etaWindow?.end || details.etaIso);
+    if (on("etaPassed") && !returned && eta && now - eta > (rules.etaPassed.graceHours || 0) * 3600000) {
+      const hoursLate = hoursBetween(eta, now);
+      alerts.push({ rule: "eta_passed", severity: rules.etaPassed.severity, message: `La entrega estimada venció hace ${hoursLate} h sin entregarse`, eta: details.etaIso, hoursLate });
+    }
+
+    const lastScan = Math.max(...events.map((e) => Date.parse(e.timestamp)).filter(Number.isFinite));
+    if (on("noScan") && !returned && Number.isFinite(lastScan) && now - lastScan > rules.noScan.hours * 3600000) {
+      const hours = hoursBetween(lastScan, now);
+      alerts.push({ rule: "no_scan", severity: rules.noScan.severity, message: `Sin escaneos desde hace ${hours} h`, lastScanAt: new Date(lastScan).toISOString(), hours });
+    }
+
+    return alerts.sort((a, b) => compareSeverity(a.severity, b.severity));
+  }
+
+  return { evaluate, rulesFor };
+}
+
+// Más grave primero; atLeast("critical", "warning") === true
+export const compareSeverity = (a, b) => SEVERITY_ORDER[a] - SEVERITY_ORDER[b];
+export const atLeast = (severity, min) => compareSeverity(severity, min) <= 0;
+// La severidad más alta de una lista ya ordenada (o null)
+export const topSeverity = (alerts) => alerts[0]?.severity || null;
@@ -0,0 +1,136 @@
+// API keys locales: cuotas diaria y mensual de consultas, paqueterías permitidas y orígenes CORS por key.
+// Solo se guarda el hash SHA-256; la key completa se muestra una vez, al crearla.
+import { createHash, randomBytes, randomUUID } from "crypto";
+import { trackError } from "./errors.js";
+
+export const KEY_PREFIX = "mct_";
+
+const hashKey = (key) => createHash("sha256").update(String(key)).digest("hex");
+
+// Periodos de cuota en UTC: "2026-10-19" y "2026-10"
+const dayOf = (d) => d.toISOString().slice(0, 10);
+const monthOf = (d) => d.toISOString().slice(0, 7);
+
+// Segundos hasta que se reinicia la cuota agotada
+function secondsUntilReset(period, d) {
+  const next =
+    period === "daily"
+      ? Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1)
+      : Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+  return Math.ceil((next - d.getTime()) / 1000);
+}
+
+// Sin el hash: lo que ven los endpoints de administración
+function publicKey({ hash, ...key }, now) {
+  const usage = currentUsage(key, now);
+  return { ...key, active: !key.revokedAt, usage };
+}
+
+// Contadores del periodo vigente (los de un día/mes anterior cuentan como 0)
+function currentUsage(key, now) {
+  const u = key.usage;
+  return {
+    day: dayOf(now),
+    daily: u.day === dayOf(now) ? u.daily : 0,
+    month: monthOf(now),
+    monthly: u.month === monthOf(now) ? u.monthly : 0,
+    total: u.total,
+    byCarrier: { ...u.byCarrier },
+    lastUsedAt: u.lastUsedAt
+  };
+}
+
+// store: { load, write } (lib/json-store.js); quota: cuotas por omisión de las keys nuevas (0 = sin límite)
+export function createApiKeys({ store, quota = { daily: 1000, monthly: 20000 }, now = () => new Date() }) {
+  let keys = null;
+
+  async function load() {
+    const data = await store.load();
+    return (keys = data.keys ||= []);
+  }
+  const save = () => store.write({ keys });
+
+  async function create({ name, daily, monthly, carriers, origins } = {}) {
+    await load();
+    const secret = KEY_PREFIX + randomBytes(24).toString("hex");
+    const key = {
+      id: randomUUID(),
+      name: name || null,
+      prefix: secret.slice(0, KEY_PREFIX.length + 6),
+      hash: hashKey(secret),
+      quota: { daily: daily ?? quota.daily, monthly: monthly ?? quota.monthly },
+      // [] = todas las paqueterías / ningún origen CORS (solo servidor a servidor)
+      carriers: (carriers || []).map((c) => String(c).toLowerCase()),
+      origins: origins || [],
+      createdAt: now().toISOString(),
+      revokedAt: null,
+      usage: { day: null, daily: 0, month: null, monthly: 0, total: 0, byCarrier: {}, lastUsedAt: null }
+    };
+    keys.push(key);
+    await save();
+    // Única respuesta con la key completa
+    return { key: secret, apiKey: publicKey(key, now()) };
+  }
+
+  async function list() {
+    return (await load()).map((k) => publicKey(k, now()));
+  }
+
+  async function get(id) {
+    const key = (await load()).find((k) => k.id === id);
+    return key ? publicKey(key, now()) : null;
+  }
+
+  async function revoke(id) {
+    const key = (await load()).find((k) => k.id === id);
+    if (!key) return null;
+    key.revokedAt ||= now().toISOString();
+    await save();
+    return publicKey(key, now());
+  }
+
+  // Key enviada por el cliente -> registro activo, o null si no existe o está revocada
+  async function verify(secret) {
+    if (!secret || !String(secret).startsWith(KEY_PREFIX)) return null;
+    const hash = hashKey(secret);
+    const key = (await load()).find((k) => k.hash === hash && !k.revokedAt);
+    return key ? publicKey(key, now()) : null;
+  }
+
+  const allowsCarrier = (key, carrier) => !key.carriers.length || key.carriers.includes(carrier);
+  const allowsOrigin = (key, origin) => key.origins.includes("*") || key.origins.includes(origin);
+
+  // Algún key activo acepta el origen (preflight CORS: el navegador no manda la key en OPTIONS)
+  async function originAllowed(origin) {
+    return (await load()).some((k) => !k.revokedAt && allowsOrigin(k, origin));
+  }
+
+  // Descuenta una consulta; con la cuota agotada lanza QUOTA_EXCEEDED con retryAfter
+  async function consume(id, carrier) {
+    const key = (await load()).find((k) => k.id === id);
+    if (!key) return null;
+    const at = now();
+    const u = key.usage;
+    if (u.day !== dayOf(at)) Object.assign(u, { day: dayOf(at), daily: 0 });
+    if (u.month !== monthOf(at)) Object.assign(u, { month: monthOf(at), monthly: 0 });
+
+    for (const period of ["daily", "monthly"]) {
+      const limit = key.quota[period];
+      if (limit && u[period] >= limit) {
+        const label = period === "daily" ? "diaria" : "mensual";
+        throw trackError("QUOTA_EXCEEDED", `Se agotó la cuota ${label} de la API key (${limit} consultas)`, {
+          retryAfter: secondsUntilReset(period, at)
+        });
+      }
+    }
+    u.daily++;
+    u.monthly++;
+    u.total++;
+    u.byCarrier[carrier] = (u.byCarrier[carrier] || 0) + 1;
+    u.lastUsedAt = at.toISOString();
+    await save();
+    return currentUsage(key, at);
+  }
+
+  return { create, list, get, revoke, verify, consume, originAllowed, allowsCarrier, allowsOrigin };
+}
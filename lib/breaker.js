@@ -0,0 +1,54 @@
+// Circuit breaker por paquetería: tras `threshold` fallas seguidas (bloqueo/timeout) se abre y no se
+// consulta la paquetería durante `cooldownMs`; después deja pasar una sola prueba (half-open):
+// si sale bien se cierra, si falla se vuelve a abrir.
+export const BREAKER = Object.freeze({ CLOSED: "closed", OPEN: "open", HALF_OPEN: "half_open" });
+
+export function createBreaker({ threshold = 5, cooldownMs = 300000, now = Date.now } = {}) {
+  let state = BREAKER.CLOSED;
+  let failures = 0;
+  let openedAt = null;
+  let probing = false;
+
+  function current() {
+    if (state === BREAKER.OPEN && now() - openedAt >= cooldownMs) state = BREAKER.HALF_OPEN;
+    return state;
+  }
+
+  // ¿Se puede consultar? En half-open solo una prueba a la vez
+  function allow() {
+    const s = current();
+    if (s === BREAKER.CLOSED) return true;
+    if (s === BREAKER.HALF_OPEN && !probing) return (probing = true);
+    return false;
+  }
+
+  function success() {
+    state = BREAKER.CLOSED;
+    failures = 0;
+    openedAt = null;
+    probing = false;
+  }
+
+  function failure() {
+    failures++;
+    probing = false;
+    if (state === BREAKER.HALF_OPEN || failures >= threshold) {
+      state = BREAKER.OPEN;
+      openedAt = now();
+    }
+  }
+
+  // ms hasta la siguiente prueba (0 si no está abierto)
+  const retryAfterMs = () => (current() === BREAKER.OPEN ? openedAt + cooldownMs - now() : 0);
+
+  function stats() {
+    return {
+      state: current(),
+      failures,
+      openedAt: openedAt && new Date(openedAt).toISOString(),
+      retryAfter: Math.ceil(retryAfterMs() / 1000)
+    };
+  }
+
+  return { allow, success, failure, retryAfterMs, stats, state: current };
+}
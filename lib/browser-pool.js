@@ -0,0 +1,135 @@
+// Pool de contextos sobre un solo Chromium de larga vida.
+// Un contexto se recicla tras `maxUses` consultas o si su página/navegador se cae.
+
+const DEFAULT_LAUNCH = {
+  headless: true,
+  args: ["--no-sandbox", "--disable-setuid-sandbox"]
+};
+
+// Chromium de Playwright; las pruebas inyectan un navegador simulado con la misma forma
+async function launchChromium(options) {
+  const { chromium } = await import("playwright");
+  return chromium.launch(options);
+}
+
+export function createBrowserPool({
+  maxSize = 2, maxUses = 50, launchOptions = DEFAULT_LAUNCH, contextOptions = {}, launch = launchChromium
+} = {}) {
+  let browserPromise = null;
+  let closing = false;
+  const idle = [];
+  const waiters = [];
+  let size = 0;
+  const counters = { launches: 0, created: 0, recycled: 0, crashes: 0 };
+
+  function getBrowser() {
+    if (!browserPromise) {
+      browserPromise = (async () => {
+        const browser = await launch(launchOptions);
+        counters.launches++;
+        browser.on("disconnected", () => {
+          // Si se cae el navegador, los contextos quedan inservibles: se relanza en la siguiente consulta
+          browserPromise = null;
+          size -= idle.length;
+          idle.length = 0;
+        });
+        return browser;
+      })();
+      browserPromise.catch(() => { browserPromise = null; });
+    }
+    return browserPromise;
+  }
+
+  async function createEntry() {
+    size++;
+    try {
+      const browser = await getBrowser();
+      const context = await browser.newContext(contextOptions);
+      counters.created++;
+      return { context, browser, uses: 0 };
+    } catch (e) {
+      // El cupo que se liberó pasa al siguiente en espera; si no, quedaría esperando para siempre
+      size--;
+      serveWaiter();
+      throw e;
+    }
+  }
+
+  // Atiende al siguiente en espera con un contexto libre o uno nuevo
+  function serveWaiter() {
+    const waiter = waiters.shift();
+    if (!waiter) return;
+    const next = idle.pop();
+    if (next) waiter.resolve(next);
+    else createEntry().then(waiter.resolve, waiter.reject);
+  }
+
+  async function acquire() {
+    if (closing) throw new Error("POOL_CLOSED");
+    const entry = idle.pop();
+    if (entry) return entry;
+    if (size < maxSize) return createEntry();
+    return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+  }
+
+  async function destroy(entry) {
+    size--;
+    counters.recycled++;
+    await entry.context.close().catch(() => {});
+  }
+
+  async function release(entry, broken) {
+    entry.uses++;
+    const connected = entry.browser.isConnected();
+    if (broken || !connected || entry.uses >= maxUses || closing) {
+      if (connected) await destroy(entry);
+      else { size--; counters.recycled++; }
+    } else {
+      idle.push(entry);
+    }
+    serveWaiter();
+  }
+
+  async function withPage(fn) {
+    const entry = await acquire();
+    let crashed = false;
+    let page;
+    try {
+      page = await entry.context.newPage();
+      page.on("crash", () => { crashed = true; counters.crashes++; });
+      return await fn(page);
+    } catch (e) {
+      if (/Target (?:page, context or browser )?(?:has been )?closed|crash/i.test(e.message || "")) crashed = true;
+      throw e;
+    } finally {
+      if (page) await page.close().catch(() => {});
+      await release(entry, crashed || !page);
+    }
+  }
+
+  async function close() {
+    closing = true;
+    while (waiters.length) waiters.shift().reject(new Error("POOL_CLOSED"));
+    await Promise.all(idle.splice(0).map(destroy));
+    if (browserPromise) {
+      const browser = await browserPromise.catch(() => null);
+      browserPromise = null;
+      await browser?.close().catch(() => {});
+    }
+  }
+
+  function stats() {
+    return {
+      maxSize,
+      maxUses,
+      browser: Boolean(browserPromise),
+      size,
+      idle: idle.length,
+      busy: size - idle.length,
+      waiting: waiters.length,
+      ...counters
+    };
+  }
+
+  return { withPage, close, stats };
+}
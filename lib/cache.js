@@ -0,0 +1,93 @@
+// Caché de resultados de scraping con TTL, stale-while-revalidate y coalescencia.
+// El almacenamiento es intercambiable: cualquier objeto con get/set/delete asíncronos
+// (p. ej. un store en archivo o Redis) sirve en lugar de createMemoryStore().
+import { createLogger } from "./log.js";
+
+// Store en memoria con tope de entradas (descarta las más antiguas, tipo LRU)
+export function createMemoryStore({ maxEntries = 5000 } = {}) {
+  const map = new Map();
+  return {
+    async get(key) {
+      const entry = map.get(key);
+      if (entry === undefined) return undefined;
+      map.delete(key);
+      map.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      map.delete(key);
+      map.set(key, entry);
+      while (map.size > maxEntries) map.delete(map.keys().next().value);
+    },
+    async delete(key) {
+      map.delete(key);
+    },
+    stats() {
+      return { entries: map.size, maxEntries };
+    }
+  };
+}
+
+// ttlFor(value, meta) -> ms de vigencia; staleFor(value, meta) -> ms extra sirviendo dato vencido.
+// log: lib/log.js (la revalidación en segundo plano conserva el reqId de la solicitud que la disparó);
+// now: reloj en ms (inyectable en pruebas)
+export function createResultCache({ store = createMemoryStore(), ttlFor, staleFor = () => 0, log = createLogger(), now: clock = Date.now }) {
+  const inflight = new Map();
+  const counters = { hits: 0, stale: 0, misses: 0, bypass: 0, coalesced: 0, revalidations: 0 };
+
+  // Una sola ejecución por clave: las llamadas concurrentes comparten la promesa
+  function load(key, fn, meta) {
+    const running = inflight.get(key);
+    if (running) {
+      counters.coalesced++;
+      return running;
+    }
+    const p = (async () => {
+      const value = await fn();
+      const now = clock();
+      const ttl = ttlFor(value, meta);
+      await store.set(key, { value, storedAt: now, expiresAt: now + ttl, staleUntil: now + ttl + staleFor(value, meta) });
+      return { value, storedAt: now };
+    })().finally(() => inflight.delete(key));
+    inflight.set(key, p);
+    return p;
+  }
+
+  async function wrap(key, fn, { fresh = false, ...meta } = {}) {
+    if (fresh) {
+      counters.bypass++;
+      const { value, storedAt } = await load(key, fn, meta);
+      return { value, cache: "bypass", cachedAt: storedAt };
+    }
+
+    const entry = await store.get(key);
+    const now = clock();
+    if (entry && now < entry.expiresAt) {
+      counters.hits++;
+      return { value: entry.value, cache: "hit", cachedAt: entry.storedAt };
+    }
+    if (entry && now < entry.staleUntil) {
+      // Se responde con el dato vencido y se refresca en segundo plano
+      counters.stale++;
+      if (!inflight.has(key)) counters.revalidations++;
+      load(key, fn, meta).catch((e) => log.warn("revalidate error", { key, err: e }));
+      return { value: entry.value, cache: "stale", cachedAt: entry.storedAt };
+    }
+
+    counters.misses++;
+    const { value, storedAt } = await load(key, fn, meta);
+    return { value, cache: "miss", cachedAt: storedAt };
+  }
+
+  function stats() {
+    return { ...counters, inflight: inflight.size, ...(store.stats?.() || {}) };
+  }
+
+  // Último valor guardado aunque esté vencido (p. ej. con la paquetería inaccesible), o null
+  async function peek(key) {
+    const entry = await store.get(key);
+    return entry ? { value: entry.value, cachedAt: entry.storedAt } : null;
+  }
+
+  return { wrap, peek, stats, invalidate: (key) => store.delete(key) };
+}
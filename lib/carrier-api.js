@@ -0,0 +1,91 @@
+// Modo API oficial: consulta la API REST de la paquetería cuando hay credenciales en el entorno.
+// Cada adaptador declara su `api` (carriers/api/<id>.js):
+//   credentials(env)           -> config | null (sin credenciales no hay proveedor y se usa scraping)
+//   token?(config)             -> { url, init } petición OAuth (client_credentials)
+//   request(config, code, tok) -> { url, init } consulta de rastreo
+//   map(json, { now })         -> detalles con la misma forma que extract() (lib/scrape.js)
+import { parseCarrierDate } from "./dates.js";
+
+// Token OAuth compartido por todas las consultas; se renueva `skewMs` antes de expirar
+export function createTokenCache({ fetchToken, skewMs = 60000 }) {
+  let token = null;
+  let expiresAt = 0;
+  let inflight = null;
+
+  async function get() {
+    if (token && Date.now() < expiresAt - skewMs) return token;
+    inflight ||= fetchToken()
+      .then(({ access_token, expires_in }) => {
+        if (!access_token) throw new Error("Respuesta OAuth sin access_token");
+        token = access_token;
+        expiresAt = Date.now() + (Number(expires_in) || 3600) * 1000;
+        return token;
+      })
+      .finally(() => (inflight = null));
+    return inflight;
+  }
+
+  function invalidate() {
+    token = null;
+    expiresAt = 0;
+  }
+
+  return { get, invalidate };
+}
+
+async function call(fetchImpl, { url, init = {} }, timeoutMs) {
+  const r = await fetchImpl(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+  if (!r.ok) {
+    const err = new Error(`HTTP ${r.status}`);
+    err.status = r.status;
+    throw err;
+  }
+  return await r.json();
+}
+
+// Proveedor API de una paquetería, o null si no declara `api` o faltan credenciales
+export function createApiProvider(adapter, { env = process.env, fetchImpl = fetch, timeoutMs = 15000 } = {}) {
+  const api = adapter.api;
+  const config = api?.credentials(env);
+  if (!config) return null;
+
+  const tokens = api.token && createTokenCache({ fetchToken: () => call(fetchImpl, api.token(config), timeoutMs) });
+
+  async function track(code) {
+    const send = async () => call(fetchImpl, api.request(config, code, tokens && (await tokens.get())), timeoutMs);
+    let json;
+    try {
+      json = await send();
+    } catch (e) {
+      // Token revocado o expirado antes de tiempo: se pide otro una sola vez
+      if (e.status !== 401 || !tokens) throw e;
+      tokens.invalidate();
+      json = await send();
+    }
+    return api.map(json, { now: new Date() });
+  }
+
+  return { carrier: adapter.id, track };
+}
+
+// { [carrierId]: proveedor } para las paqueterías con credenciales configuradas
+export function createApiProviders(adapters, options) {
+  const providers = {};
+  for (const adapter of adapters) {
+    const provider = createApiProvider(adapter, options);
+    if (provider) providers[adapter.id] = provider;
+  }
+  return providers;
+}
+
+// Fecha de la API -> { raw, iso, window }: respeta el desfase si viene; si no, se interpreta en la zona de la paquetería
+export function apiDate(carrier, value, { now } = {}) {
+  if (!value) return { raw: null, iso: null, window: null };
+  const raw = String(value);
+  if (/T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/.test(raw)) return { raw, iso: raw, window: null };
+  const parsed = parseCarrierDate(carrier, raw.replace("T", " "), { now });
+  return { raw, iso: parsed?.iso || null, window: parsed?.window || null };
+}
+
+// "Ciudad, Estado, País" sin partes vacías
+export const place = (...parts) => parts.filter(Boolean).join(", ") || null;
@@ -0,0 +1,65 @@
+// Protección de salida por paquetería: límite de tasa, tope de concurrencia y circuit breaker.
+// Con el circuito abierto se responde BLOCKED (circuitOpen) sin tocar la paquetería.
+import { createQueue } from "./queue.js";
+import { createTokenBucket } from "./rate-limit.js";
+import { createBreaker, BREAKER } from "./breaker.js";
+import { trackError, toTrackError } from "./errors.js";
+
+// Fallas que cuentan para abrir el circuito: la paquetería nos bloquea o no responde
+const TRIPS = new Set(["BLOCKED", "TIMEOUT"]);
+
+// limitsFor(carrier) -> { ratePerMin, burst, concurrency }; breaker: { threshold, cooldownMs }
+export function createCarrierGuard({ limitsFor, breaker = {} }) {
+  const guards = new Map();
+
+  function guardFor(carrier) {
+    let g = guards.get(carrier);
+    if (!g) {
+      const { ratePerMin, burst = 1, concurrency = 1 } = limitsFor(carrier);
+      g = {
+        bucket: createTokenBucket({ ratePerMin, burst }),
+        queue: createQueue({ concurrency }),
+        breaker: createBreaker(breaker)
+      };
+      guards.set(carrier, g);
+    }
+    return g;
+  }
+
+  const circuitOpen = (carrier, g) =>
+    trackError("BLOCKED", `Consultas a ${carrier} suspendidas por fallas repetidas; se reintentará más tarde`, {
+      retryAfter: Math.ceil(g.breaker.retryAfterMs() / 1000),
+      circuitOpen: true
+    });
+
+  async function run(carrier, fn) {
+    const g = guardFor(carrier);
+    if (!g.breaker.allow()) throw circuitOpen(carrier, g);
+    return await g.queue.push(async () => {
+      // Pudo abrirse mientras esperaba turno
+      if (g.breaker.state() === BREAKER.OPEN) throw circuitOpen(carrier, g);
+      await g.bucket.take();
+      try {
+        const result = await fn();
+        g.breaker.success();
+        return result;
+      } catch (e) {
+        if (TRIPS.has(toTrackError(e).code)) g.breaker.failure();
+        else g.breaker.success();
+        throw e;
+      }
+    });
+  }
+
+  // Estado por paquetería (todas las indicadas, aunque aún no se hayan consultado)
+  function stats(carriers = [...guards.keys()]) {
+    const out = {};
+    for (const carrier of carriers) {
+      const g = guardFor(carrier);
+      out[carrier] = { breaker: g.breaker.stats(), queue: g.queue.stats(), rate: g.bucket.stats() };
+    }
+    return out;
+  }
+
+  return { run, stats };
+}
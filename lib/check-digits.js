@@ -0,0 +1,36 @@
+// Dígitos verificadores usados por los validadores de guía de cada paquetería.
+
+const digits = (s) => s.split("").map(Number);
+
+// FedEx Express (12): pesos 1,3,7 desde la derecha, mod 11 (10 -> 0)
+export function fedex12(code) {
+  const d = digits(code);
+  const check = d.pop();
+  const weights = [1, 3, 7];
+  const sum = d.reverse().reduce((acc, n, i) => acc + n * weights[i % 3], 0);
+  return (sum % 11) % 10 === check;
+}
+
+// Mod 10 tipo GS1 (x3 en posiciones impares desde la derecha): FedEx Ground / SmartPost
+export function mod10(code) {
+  const d = digits(code);
+  const check = d.pop();
+  const sum = d.reverse().reduce((acc, n, i) => acc + n * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+// UPS 1Z: letras A=2, B=3, ... ; pares x2, mod 10
+export function ups1Z(code) {
+  const body = code.slice(2, 17);
+  const check = Number(code[17]);
+  const sum = body.split("").reduce((acc, ch, i) => {
+    const n = /\d/.test(ch) ? Number(ch) : (ch.charCodeAt(0) - 63) % 10;
+    return acc + (i % 2 === 1 ? n * 2 : n);
+  }, 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+// DHL Express (10) y serial de AWB (8): primeros dígitos mod 7
+export function mod7(serial) {
+  return Number(serial.slice(0, -1)) % 7 === Number(serial.slice(-1));
+}
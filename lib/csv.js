@@ -0,0 +1,59 @@
+// Lector CSV mínimo para listas de guías (coma, punto y coma o tabulador).
+// Acepta encabezado opcional con columnas carrier/paqueteria y code/guia.
+
+function splitLine(line, sep) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep) { out.push(cur.trim()); cur = ""; }
+    else cur += ch;
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+const CARRIER_COLS = ["carrier", "paqueteria", "paquetería"];
+const CODE_COLS = ["code", "guia", "guía", "tracking", "awb"];
+
+export function parseCsv(text) {
+  const lines = String(text || "").replace(/^\uFEFF/, "").split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) return [];
+
+  const sep = [";", "\t", ","].find((s) => lines[0].includes(s)) || ",";
+  let rows = lines.map((l) => splitLine(l, sep));
+
+  // Encabezado: si existe define las columnas; si no, [carrier, code] o solo [code]
+  const head = rows[0].map((h) => h.toLowerCase());
+  let carrierIdx = head.findIndex((h) => CARRIER_COLS.includes(h));
+  let codeIdx = head.findIndex((h) => CODE_COLS.includes(h));
+  if (codeIdx >= 0) {
+    rows = rows.slice(1);
+  } else {
+    codeIdx = rows[0].length > 1 ? 1 : 0;
+    carrierIdx = rows[0].length > 1 ? 0 : -1;
+  }
+
+  return rows
+    .map((r) => ({ carrier: carrierIdx >= 0 ? r[carrierIdx] || undefined : undefined, code: r[codeIdx] }))
+    .filter((r) => r.code);
+}
+
+// Valor con separador, comillas o salto de línea -> entre comillas (comillas duplicadas)
+const quote = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",;\t\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// Filas (objetos) -> CSV con encabezado; columns fija el orden y qué campos salen
+export function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map((c) => quote(row[c])).join(","));
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,274 @@
+// Reconocimiento de fechas/horas en el texto de las páginas (español e inglés)
+// y conversión a ISO 8601 con el desfase de la zona horaria de la paquetería.
+
+const MONTHS = {
+  ene: 1, enero: 1, jan: 1, january: 1,
+  feb: 2, febrero: 2, february: 2,
+  mar: 3, marzo: 3, march: 3,
+  abr: 4, abril: 4, apr: 4, april: 4,
+  may: 5, mayo: 5,
+  jun: 6, junio: 6, june: 6,
+  jul: 7, julio: 7, july: 7,
+  ago: 8, agosto: 8, aug: 8, august: 8,
+  sep: 9, sept: 9, septiembre: 9, setiembre: 9, september: 9,
+  oct: 10, octubre: 10, october: 10,
+  nov: 11, noviembre: 11, november: 11,
+  dic: 12, diciembre: 12, dec: 12, december: 12
+};
+
+const WEEKDAYS = {
+  domingo: 0, sunday: 0, lunes: 1, monday: 1, martes: 2, tuesday: 2,
+  "miércoles": 3, miercoles: 3, wednesday: 3, jueves: 4, thursday: 4,
+  viernes: 5, friday: 5, "sábado": 6, sabado: 6, saturday: 6
+};
+
+// Formato de fecha por paquetería: dayFirst true/false, o "lang" (según el idioma del texto)
+// y zona horaria en la que la página muestra las horas.
+// Las horas de un escaneo con lugar reconocible usan la zona de ese lugar (zoneForLocation);
+// el resto (ETA, entrega, escaneos sin lugar o con código de aeropuerto) usan la de la paquetería.
+const DEFAULT_TZ = process.env.TRACK_TZ || "America/Mexico_City";
+const CARRIER_DATES = {
+  fedex: { dayFirst: "lang" },
+  ups: { dayFirst: "lang" },
+  dhl: { dayFirst: true },
+  delta: { dayFirst: false },
+  expeditors: { dayFirst: false },
+  estafeta: { dayFirst: true },
+  paquetexpress: { dayFirst: true },
+  redpack: { dayFirst: true },
+  "99minutos": { dayFirst: true }
+};
+
+// Zonas por estado de EE. UU., estado de México fuera del centro y país de un solo huso, en tablas
+// separadas: "DE" es Delaware o Alemania y "CA" California o Canadá.
+// Los estados partidos en dos husos (TX, KY, TN, FL, ...) toman el de la mayor parte del estado.
+const byCode = (zones) =>
+  Object.fromEntries(Object.entries(zones).flatMap(([tz, codes]) => codes.split(" ").map((code) => [code, tz])));
+
+const US_STATES = byCode({
+  "America/New_York": "CT DC DE FL GA IN KY MA MD ME MI NC NH NJ NY OH PA RI SC VA VT WV",
+  "America/Chicago": "AL AR IA IL KS LA MN MO MS ND NE OK SD TN TX WI",
+  "America/Denver": "CO ID MT NM UT WY",
+  "America/Phoenix": "AZ",
+  "America/Los_Angeles": "CA NV OR WA",
+  "America/Anchorage": "AK",
+  "Pacific/Honolulu": "HI",
+  "America/Puerto_Rico": "PR"
+});
+const MX_STATES = byCode({
+  "America/Tijuana": "BC BCN",
+  "America/Mazatlan": "BCS SIN NAY",
+  "America/Hermosillo": "SON",
+  "America/Chihuahua": "CHIH CHH",
+  "America/Cancun": "QR QROO"
+});
+const COUNTRIES = byCode({
+  "Asia/Shanghai": "CN",
+  "Asia/Hong_Kong": "HK",
+  "Asia/Tokyo": "JP",
+  "Asia/Seoul": "KR",
+  "Europe/Berlin": "DE",
+  "Europe/London": "GB UK"
+});
+
+// Estados de EE. UU. cuyo código también es de un país (ISO 3166) o de un estado de México en las páginas
+// de FedEx (CO Coahuila, MI Michoacán, MO Morelos): sin país después, no se sabe cuál es
+const AMBIGUOUS = new Set("AL AR AZ CA CO DE GA ID IL IN KY LA MA MD ME MI MN MO MS MT NC NE PA SC SD TN VA".split(" "));
+
+const US_SUFFIX = /^(US|USA|EUA|EE\.? ?UU\.?|UNITED STATES|ESTADOS UNIDOS)$/;
+const MX_SUFFIX = /^(MX|MEX|MEXICO|MÉXICO)$/;
+
+// "LAREDO, TX", "LOUISVILLE, KY - USA", "TIJUANA, BC - MEXICO", "SHANGHAI, CN" -> zona. El país después del
+// estado decide en qué tabla se busca; sin él, un código ambiguo ("WILMINGTON, DE", "TORONTO, CA") no da zona.
+// null si el lugar no la indica ("ATLANTA, US", "CINCINNATI HUB - USA", "ATL")
+export function zoneForLocation(location) {
+  const m = (location || "").toUpperCase().match(/,\s*([A-Z]{2,4})(?:\s*[-,]\s*([A-ZÉ][A-ZÉ. ]+?))?\s*$/);
+  if (!m) return null;
+  const [, code, country] = m;
+  if (country) {
+    if (US_SUFFIX.test(country)) return US_STATES[code] || null;
+    if (MX_SUFFIX.test(country)) return MX_STATES[code] || null;
+    return COUNTRIES[country] || null;
+  }
+  if (AMBIGUOUS.has(code)) return null;
+  return US_STATES[code] || MX_STATES[code] || COUNTRIES[code] || null;
+}
+
+const MONTH_RE = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join("|");
+const pad = (n) => String(n).padStart(2, "0");
+
+const fullYear = (y) => (y < 100 ? 2000 + y : y);
+
+// Fecha de `now` en la zona `tz` (no en la del proceso): { year, month, day, weekday }
+function today(now, tz) {
+  const fmt = new Intl.DateTimeFormat("en-US", { timeZone: tz, year: "numeric", month: "numeric", day: "numeric", weekday: "short" });
+  const parts = Object.fromEntries(fmt.formatToParts(now).map((p) => [p.type, p.value]));
+  const weekday = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday);
+  return { year: +parts.year, month: +parts.month, day: +parts.day, weekday };
+}
+
+const dayNumber = ({ year, month, day }) => Date.UTC(year, month - 1, day) / 864e5;
+
+// Sin año: el año de `now`, salvo que caiga muy en el futuro (historial de diciembre leído en enero)
+function guessYear(month, day, now, tz) {
+  const t = today(now, tz);
+  return dayNumber({ year: t.year, month, day }) - dayNumber(t) > 180 ? t.year - 1 : t.year;
+}
+
+const SPANISH = /\b(el|de|las?|a las|entre|antes|hoy|mañana|entregado|envío|paquete|tránsito|lun|mar|mié|jue|vie|sáb|dom|ene|abr|ago|dic|lunes|martes|miércoles|jueves|viernes|sábado|domingo)\b/gi;
+const ENGLISH = /\b(on|by|the|between|before|after|today|tomorrow|end of day|delivered|departed|arrived|shipment|package|facility|mon|tue|wed|thu|fri|sat|sun|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/gi;
+
+const count = (re, text) => (text.match(re) || []).length;
+
+// Opciones de fecha para una paquetería; con dayFirst "lang" gana el idioma con más palabras en el texto
+export function dateOptions(carrier, text = "") {
+  const c = (carrier || "").toLowerCase();
+  const key = Object.keys(CARRIER_DATES).find((k) => c.includes(k));
+  const cfg = { dayFirst: true, tz: DEFAULT_TZ, ...(key && CARRIER_DATES[key]) };
+  if (cfg.dayFirst === "lang") cfg.dayFirst = count(SPANISH, text || "") >= count(ENGLISH, text || "");
+  return cfg;
+}
+
+// Devuelve { year, month, day, index, length } o null.
+// dayFirst decide "03/09/2024" (3 de septiembre vs 9 de marzo); tz, el año por omisión.
+export function matchDate(text, { dayFirst = true, tz = DEFAULT_TZ, now = new Date() } = {}) {
+  let m = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (m) return { year: +m[1], month: +m[2], day: +m[3], index: m.index, length: m[0].length };
+
+  m = text.match(/\b(\d{1,2})[/.](\d{1,2})[/.](\d{2,4})\b/);
+  if (m) {
+    let [a, b] = [+m[1], +m[2]];
+    if (!dayFirst) [a, b] = [b, a];
+    if (b > 12 && a <= 12) [a, b] = [b, a];
+    return { year: fullYear(+m[3]), month: b, day: a, index: m.index, length: m[0].length };
+  }
+
+  // "26AUG25" (formato de carga aérea)
+  m = text.match(new RegExp(`\\b(\\d{1,2})(${MONTH_RE})(\\d{2}|\\d{4})\\b`, "i"));
+  if (m) return { year: fullYear(+m[3]), month: MONTHS[m[2].toLowerCase()], day: +m[1], index: m.index, length: m[0].length };
+
+  // "26 de agosto de 2025", "26 ago 2025", "3 sept"
+  m = text.match(new RegExp(`\\b(\\d{1,2})(?:\\s+de)?\\s+(${MONTH_RE})\\.?(?:(?:\\s+de|,)?\\s+(\\d{4}))?\\b`, "i"));
+  if (m) {
+    const month = MONTHS[m[2].toLowerCase()];
+    const day = +m[1];
+    return { year: m[3] ? +m[3] : guessYear(month, day, now, tz), month, day, index: m.index, length: m[0].length };
+  }
+
+  // "agosto 26, 2025", "August 26 2025", "Aug 26"
+  m = text.match(new RegExp(`\\b(${MONTH_RE})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, "i"));
+  if (m) {
+    const month = MONTHS[m[1].toLowerCase()];
+    const day = +m[2];
+    return { year: m[3] ? +m[3] : guessYear(month, day, now, tz), month, day, index: m.index, length: m[0].length };
+  }
+  return null;
+}
+
+const TIME_RE = /\b(\d{1,2}):(\d{2})(?::\d{2})?(?:\s*([ap])\.?\s?m\.?)?(?![\w])/gi;
+
+function toTime(m) {
+  let hour = +m[1];
+  const minute = +m[2];
+  if (hour > 23 || minute > 59) return null;
+  const ampm = m[3]?.toLowerCase();
+  if (ampm === "p" && hour < 12) hour += 12;
+  if (ampm === "a" && hour === 12) hour = 0;
+  return { hour, minute, index: m.index, length: m[0].length };
+}
+
+// "14:03", "2:03 P.M.", "10:15 a. m." -> { hour, minute, index, length } o null
+export function matchTime(text) {
+  for (const m of text.matchAll(TIME_RE)) {
+    const t = toTime(m);
+    if (t) return t;
+  }
+  return null;
+}
+
+function matchTimes(text) {
+  return [...text.matchAll(TIME_RE)].map(toTime).filter(Boolean);
+}
+
+// Fecha/hora local de la página en formato "YYYY-MM-DDTHH:mm"
+export function toLocalIso(date, time) {
+  const base = `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+  return time ? `${base}T${pad(time.hour)}:${pad(time.minute)}` : base;
+}
+
+// Desfase ("-06:00") de la zona `tz` para esa hora local
+function offsetFor(tz, date, time = { hour: 12, minute: 0 }) {
+  const fmt = new Intl.DateTimeFormat("en-US", { timeZone: tz, timeZoneName: "longOffset" });
+  const at = Date.UTC(date.year, date.month - 1, date.day, time.hour, time.minute);
+  const name = fmt.formatToParts(new Date(at)).find((p) => p.type === "timeZoneName")?.value || "GMT";
+  const m = name.match(/GMT([+-]\d{2}):?(\d{2})?/);
+  return m ? `${m[1]}:${m[2] || "00"}` : "+00:00";
+}
+
+// ISO 8601 completo con desfase: "2025-08-27T14:03:00-06:00"
+export function toIso(date, time, tz = DEFAULT_TZ) {
+  const t = time || { hour: 0, minute: 0 };
+  return `${toLocalIso(date, t)}:00${offsetFor(tz, date, t)}`;
+}
+
+function addDays(date, days) {
+  const d = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+// "hoy", "mañana", "pasado mañana", "today", "tomorrow", o solo el día de la semana (relativos al día en `tz`)
+function matchRelative(text, now, tz) {
+  const t = today(now, tz);
+  if (/\bpasado mañana\b/i.test(text)) return addDays(t, 2);
+  if (/\b(hoy|today)\b/i.test(text)) return addDays(t, 0);
+  if (/\btomorrow\b/i.test(text) || /(?:^|[^a-z])mañana\b/i.test(text.replace(/\b(?:la|por la|de la) mañana\b/gi, ""))) {
+    return addDays(t, 1);
+  }
+  const wd = text.toLowerCase().match(new RegExp(`(?:^|[^\\p{L}])(${Object.keys(WEEKDAYS).join("|")})(?![\\p{L}])`, "u"));
+  if (wd) {
+    const diff = (WEEKDAYS[wd[1]] - t.weekday + 7) % 7;
+    return addDays(t, diff);
+  }
+  return null;
+}
+
+const END_OF_DAY = /(fin del d[ií]a|end of (?:the )?day)/i;
+const BEFORE = /(antes de(?: las)?|before|by)\s*$/i;
+const AFTER = /(despu[eé]s de(?: las)?|a partir de(?: las)?|after)\s*$/i;
+
+// Texto libre -> { iso, window } con window = { start, end } (cualquiera puede ser null)
+// opts: { dayFirst, tz, now }
+export function parseDate(raw, { dayFirst = true, tz = DEFAULT_TZ, now = new Date() } = {}) {
+  const text = (raw || "").trim();
+  if (!text) return null;
+
+  const date = matchDate(text, { dayFirst, tz, now }) || matchRelative(text, now, tz);
+  if (!date) return null;
+
+  // Se quitan los dígitos de la fecha para no confundirlos con horas
+  const rest = date.index != null ? text.slice(0, date.index) + " " + text.slice(date.index + date.length) : text;
+  const times = matchTimes(rest);
+  const iso = (t) => toIso(date, t, tz);
+
+  if (times.length >= 2) {
+    const [a, b] = times;
+    // "11:00 - 2:00" sin a.m./p.m.: la segunda es de la tarde
+    if (b.hour < a.hour && b.hour < 12) b.hour += 12;
+    return { iso: iso(b), window: { start: iso(a), end: iso(b) } };
+  }
+  if (times.length === 1) {
+    const [t] = times;
+    const before = rest.slice(0, t.index);
+    if (BEFORE.test(before)) return { iso: iso(t), window: { start: null, end: iso(t) } };
+    if (AFTER.test(before)) return { iso: iso(t), window: { start: iso(t), end: null } };
+    return { iso: iso(t), window: null };
+  }
+  const eod = iso({ hour: 23, minute: 59 });
+  if (END_OF_DAY.test(text)) return { iso: eod, window: { start: null, end: eod } };
+  return { iso: iso(null), window: { start: iso(null), end: eod } };
+}
+
+// Atajo por paquetería: aplica su formato (día/mes) y zona horaria
+export function parseCarrierDate(carrier, raw, { now } = {}) {
+  return parseDate(raw, { ...dateOptions(carrier, raw), now });
+}
@@ -0,0 +1,29 @@
+// Detección de paquetería a partir del número de guía.
+// Cada adaptador con validate() aporta un candidato (formato + dígito verificador, confianza 0..1).
+import { listCarriers } from "../carriers/index.js";
+
+// Confianza mínima para usar un candidato cuando carrier=auto
+export const MIN_CONFIDENCE = 0.5;
+
+export function normalizeCode(code) {
+  return String(code || "").toUpperCase().replace(/[\s-]+/g, "");
+}
+
+// Devuelve candidatos ordenados por confianza (desc), uno por paquetería
+export function detectCarrier(code) {
+  const c = normalizeCode(code);
+  return listCarriers()
+    .filter((adapter) => typeof adapter.validate === "function")
+    .map((adapter) => {
+      const match = adapter.validate(c);
+      return match && { carrier: adapter.id, ...match };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+// Mejor candidato con confianza suficiente, o null
+export function bestCarrier(code) {
+  const [top] = detectCarrier(code);
+  return top && top.confidence >= MIN_CONFIDENCE ? top : null;
+}
@@ -0,0 +1,48 @@
+// Errores de consulta tipados: el cliente distingue "guía no encontrada" de "nos bloquearon" o
+// "tiempo agotado" y sabe si vale la pena reintentar.
+export const ERRORS = Object.freeze({
+  NOT_FOUND: { status: 404, retryable: false, message: "La paquetería no encontró la guía" },
+  INVALID_NUMBER: { status: 400, retryable: false, message: "El número no tiene un formato válido para la paquetería" },
+  BLOCKED: { status: 503, retryable: true, message: "La paquetería bloqueó la consulta (captcha o límite de tráfico)" },
+  TIMEOUT: { status: 504, retryable: true, message: "La paquetería no respondió a tiempo" },
+  PARSE_FAILED: { status: 502, retryable: true, message: "No se pudieron extraer datos de la página de la paquetería" },
+  // Sin scraping la respuesta sigue siendo útil (enlace oficial): no es una falla del servidor
+  SCRAPE_DISABLED: { status: 200, retryable: false, message: "La consulta automática está desactivada; usa el enlace oficial" },
+  // Límites de la API key (lib/api-keys.js)
+  QUOTA_EXCEEDED: { status: 429, retryable: true, message: "Se agotó la cuota de consultas de la API key" },
+  CARRIER_NOT_ALLOWED: { status: 403, retryable: false, message: "La API key no tiene permitida esta paquetería" }
+});
+
+// Error con code (ERRORS.*), retryable y los datos parciales que se alcanzaron a extraer.
+// retryAfter (s) sugiere cuándo reintentar; circuitOpen marca el rechazo del circuit breaker.
+export function trackError(code, message, { partial, retryAfter, circuitOpen } = {}) {
+  const err = new Error(message || ERRORS[code].message);
+  err.code = code;
+  err.retryable = ERRORS[code].retryable;
+  if (partial) err.partial = partial;
+  if (retryAfter != null) err.retryAfter = retryAfter;
+  if (circuitOpen) err.circuitOpen = true;
+  return err;
+}
+
+// Cualquier excepción (Playwright, fetch, HTTP de la API) -> error tipado
+export function toTrackError(e) {
+  if (e?.code && ERRORS[e.code]) return e;
+  const msg = String(e?.message || e);
+  if (e?.name === "TimeoutError" || /timeout|timed out/i.test(msg)) return trackError("TIMEOUT");
+  if (e?.status === 404) return trackError("NOT_FOUND");
+  if (e?.status === 403 || e?.status === 429 || /ERR_(?:BLOCKED|CONNECTION_RESET|HTTP2_PROTOCOL)/.test(msg)) return trackError("BLOCKED");
+  return trackError("PARSE_FAILED", `${ERRORS.PARSE_FAILED.message}: ${msg}`);
+}
+
+// Campos de error que se agregan a la respuesta de /api/track
+export function errorBody(err) {
+  return {
+    ...err.partial,
+    ok: false,
+    error: err.message,
+    errorCode: err.code,
+    retryable: err.retryable,
+    ...(err.retryAfter != null && { retryAfter: err.retryAfter })
+  };
+}
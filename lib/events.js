@@ -0,0 +1,79 @@
+// Historial de escaneos: convierte la sección de "historial de viaje" del texto de la página
+// en [{ timestamp, location, description, statusCode }] ordenado cronológicamente.
+import { matchDate, matchTime, toIso, dateOptions, zoneForLocation } from "./dates.js";
+import { normalizeStatus, STATUS } from "./status.js";
+
+// "MONTERREY, NL", "Monterrey, MX", "MEXICO CITY HUB - MEXICO", "ATL"
+function looksLikeLocation(line) {
+  if (/^[A-ZÁÉÍÓÚÑ0-9 ,.()/-]+$/.test(line) && /[A-ZÁÉÍÓÚÑ]{3}/.test(line)) return true;
+  return /^[A-Za-zÁÉÍÓÚÑáéíóúñ .'-]+,\s*[A-Z]{2,3}$/.test(line);
+}
+
+const LOCAL_TIME = /^[,\s-]*(?:hora local|local time)\s*[,:-]?\s*/i;
+
+// opts: { carrier, start: RegExp inicio de sección, end?: RegExp fin, dateLast?, now }
+// dateLast: la fecha/hora cierra el renglón (tablas "estación | estatus | fecha") en lugar de abrirlo.
+// El orden día/mes sale de la configuración de la paquetería (lib/dates.js); la zona horaria, del lugar
+// del escaneo cuando lo indica ("LAREDO, TX") y si no, de la paquetería.
+export function parseEvents(text, { carrier, start, end, dateLast = false, now } = {}) {
+  const from = start ? (text || "").search(start) : 0;
+  if (from < 0) return [];
+
+  const section = (text || "").slice(from);
+  const { dayFirst, tz } = dateOptions(carrier, section);
+  const lines = section.split("\n").map((l) => l.trim()).filter(Boolean).slice(1);
+  const events = [];
+  let date = null;
+  let cur = null;
+  let pending = [];
+
+  for (const line of lines) {
+    if (end && end.test(line)) break;
+
+    const d = matchDate(line, { dayFirst, tz, now });
+    const t = matchTime(line);
+    if (d) date = d;
+
+    if (t && date) {
+      cur = { date, time: t, location: null, description: null };
+      events.push(cur);
+      // Lo que queda en la línea tras quitar fecha/hora (p. ej. "Local time, MEXICO CITY HUB")
+      let rest = line;
+      for (const m of [t, d].filter(Boolean).sort((a, b) => b.index - a.index)) {
+        rest = rest.slice(0, m.index) + " " + rest.slice(m.index + m.length);
+      }
+      rest = rest.replace(LOCAL_TIME, "").replace(/^[\s,;|-]+|[\s,;|-]+$/g, "").replace(/\s{2,}/g, " ");
+      if (rest) assign(cur, rest, carrier);
+      for (const p of pending) assign(cur, p, carrier);
+      pending = [];
+      continue;
+    }
+    if (d) continue; // encabezado de día ("miércoles, 27/08/25")
+    if (dateLast) pending.push(line);
+    else if (cur) assign(cur, line, carrier);
+  }
+
+  const seen = new Set();
+  return events
+    .filter((e) => e.description || e.location)
+    .map((e) => ({
+      timestamp: toIso(e.date, e.time, zoneForLocation(e.location) || tz),
+      location: e.location,
+      description: e.description,
+      statusCode: normalizeStatus(carrier, e.description)
+    }))
+    .filter((e) => {
+      const key = `${e.timestamp}|${e.description}|${e.location}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+}
+
+function assign(ev, line, carrier) {
+  // "ENTREGADO" en mayúsculas es descripción, no lugar
+  const isStatus = normalizeStatus(carrier, line) !== STATUS.UNKNOWN;
+  if (!ev.location && !isStatus && looksLikeLocation(line)) ev.location = line;
+  else if (!ev.description) ev.description = line;
+}
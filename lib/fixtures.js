@@ -0,0 +1,42 @@
+// Fixtures de páginas de paquetería para pruebas de regresión sin red.
+// test/fixtures/<carrier>/<nombre>.txt   texto saneado (entrada de adapter.parse)
+//                        <nombre>.html  HTML renderizado (referencia)
+//                        <nombre>.json  { carrier, url, recordedAt, expected } (salida dorada)
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "test", "fixtures");
+
+export async function saveFixture({ dir = FIXTURES_DIR, carrier, name, url, text, html, recordedAt, expected }) {
+  const base = path.join(dir, carrier, name);
+  await fs.mkdir(path.dirname(base), { recursive: true });
+  await fs.writeFile(`${base}.txt`, text);
+  if (html) await fs.writeFile(`${base}.html`, html);
+  await fs.writeFile(`${base}.json`, JSON.stringify({ carrier, url, recordedAt, expected }, null, 2) + "\n");
+  return base;
+}
+
+// [{ carrier, name, text, meta, file }] de todas las paqueterías
+export async function loadFixtures(dir = FIXTURES_DIR) {
+  const out = [];
+  const carriers = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  for (const entry of carriers.filter((e) => e.isDirectory())) {
+    const files = await fs.readdir(path.join(dir, entry.name));
+    for (const f of files.filter((f) => f.endsWith(".txt")).sort()) {
+      const base = path.join(dir, entry.name, f.slice(0, -4));
+      out.push({
+        carrier: entry.name,
+        name: f.slice(0, -4),
+        text: await fs.readFile(`${base}.txt`, "utf8"),
+        // Un .txt sin .json (escrito a mano) toma fecha de grabación actual; --update lo completa
+        meta: await fs
+          .readFile(`${base}.json`, "utf8")
+          .then(JSON.parse)
+          .catch(() => ({ carrier: entry.name, url: null, recordedAt: new Date().toISOString() })),
+        file: base
+      });
+    }
+  }
+  return out;
+}
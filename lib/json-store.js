@@ -0,0 +1,44 @@
+// Persistencia en un archivo JSON local. Las escrituras se serializan y son atómicas
+// (archivo temporal + rename) para no dejar el archivo a medias si el proceso muere.
+import fs from "fs/promises";
+import path from "path";
+
+export function createJsonStore(file, defaults = {}) {
+  let writing = Promise.resolve();
+
+  async function read() {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return structuredClone(defaults);
+      throw e;
+    }
+  }
+
+  function write(data) {
+    const json = JSON.stringify(data, null, 2);
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, json);
+        await fs.rename(tmp, file);
+      });
+    return writing;
+  }
+
+  // Estado de quien guarda en este archivo: la primera llamada lo lee y las siguientes devuelven el mismo
+  // objeto, que se modifica en memoria y se guarda con write(). Una lectura fallida (archivo corrupto) no
+  // queda cacheada: la siguiente llamada vuelve a leer.
+  let loading = null;
+  function load() {
+    loading ||= read().catch((e) => {
+      loading = null;
+      throw e;
+    });
+    return loading;
+  }
+
+  return { read, load, write, file };
+}
@@ -0,0 +1,57 @@
+// Logs estructurados: una línea JSON por evento. Dentro de una solicitud HTTP cada línea lleva su reqId
+// (AsyncLocalStorage), también la de funciones que no reciben req (consultas, lotes, errores de API).
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const context = new AsyncLocalStorage();
+
+// Error -> campos serializables (JSON.stringify de un Error da {})
+const plain = (v) => (v instanceof Error ? { message: v.message, ...(v.code && { code: v.code }) } : v);
+
+export function createLogger({ level = "info", write = (line) => process.stdout.write(line + "\n"), base = {} } = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+
+  function emit(lvl, msg, fields = {}) {
+    if (LEVELS[lvl] < min) return;
+    const extra = Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, plain(v)]));
+    write(JSON.stringify({ ts: new Date().toISOString(), level: lvl, msg, ...context.getStore(), ...base, ...extra }));
+  }
+
+  return {
+    debug: (msg, fields) => emit("debug", msg, fields),
+    info: (msg, fields) => emit("info", msg, fields),
+    warn: (msg, fields) => emit("warn", msg, fields),
+    error: (msg, fields) => emit("error", msg, fields),
+    child: (fields) => createLogger({ level, write, base: { ...base, ...fields } })
+  };
+}
+
+// Id de la solicitud: X-Request-Id del cliente o proxy (si es razonable) o uno nuevo
+const requestIdOf = (req) => {
+  const given = req.get("x-request-id");
+  return given && /^[\w.:-]{1,128}$/.test(given) ? given : randomUUID();
+};
+
+// Middleware: asigna req.id, lo devuelve en X-Request-Id y registra método, ruta, status y duración.
+// onFinish(req, res, seconds) permite reutilizar la medición (p. ej. para métricas).
+export function requestLogger(log, { onFinish } = {}) {
+  return (req, res, next) => {
+    req.id = requestIdOf(req);
+    res.set("X-Request-Id", req.id);
+    const start = process.hrtime.bigint();
+    res.on("finish", () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      onFinish?.(req, res, seconds);
+      log.info("request", {
+        reqId: req.id,
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        status: res.statusCode,
+        ms: Math.round(seconds * 1000),
+        ip: req.ip
+      });
+    });
+    context.run({ reqId: req.id }, next);
+  };
+}
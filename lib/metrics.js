@@ -0,0 +1,93 @@
+// Métricas en formato de texto de Prometheus (contadores, histogramas y gauges) sin dependencias.
+// Cada métrica guarda una serie por combinación de etiquetas; render() arma el texto de /metrics.
+export const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Buckets en segundos: de una respuesta de API (<1 s) a un scrape lento con Chromium
+export const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+const escape = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function labelText(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escape(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+// Solo las etiquetas declaradas, en orden: la misma serie aunque cambie el orden de las claves
+const pickLabels = (names, labels = {}) => Object.fromEntries(names.map((n) => [n, labels[n] ?? ""]));
+
+export function createMetrics() {
+  const metrics = [];
+  const collectors = [];
+
+  function register(type, name, help, labelNames, extra = {}) {
+    const series = new Map();
+    const metric = { type, name, help, series, labelNames, ...extra };
+    metrics.push(metric);
+    const seriesFor = (labels, init) => {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      if (!series.has(key)) series.set(key, { labels: picked, ...init() });
+      return series.get(key);
+    };
+    return seriesFor;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const seriesFor = register("counter", name, help, labelNames);
+    return {
+      inc(labels, n = 1) {
+        seriesFor(labels, () => ({ value: 0 })).value += n;
+      }
+    };
+  }
+
+  function gauge(name, help, labelNames = []) {
+    const seriesFor = register("gauge", name, help, labelNames);
+    return {
+      set(labels, value) {
+        seriesFor(labels, () => ({ value: 0 })).value = value;
+      }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    const seriesFor = register("histogram", name, help, labelNames, { buckets });
+    return {
+      observe(labels, value) {
+        const s = seriesFor(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((le, i) => {
+          if (value <= le) s.counts[i]++;
+        });
+        s.sum += value;
+        s.count++;
+      }
+    };
+  }
+
+  // fn() se llama antes de cada render (p. ej. para copiar el estado de colas o breakers a gauges)
+  function collect(fn) {
+    collectors.push(fn);
+  }
+
+  function render() {
+    for (const fn of collectors) fn();
+    const lines = [];
+    for (const m of metrics) {
+      lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+      for (const s of m.series.values()) {
+        if (m.type !== "histogram") {
+          lines.push(`${m.name}${labelText(s.labels)} ${s.value}`);
+          continue;
+        }
+        // Los buckets son acumulativos: cada observación ya se contó en todos los le >= valor
+        m.buckets.forEach((le, i) => lines.push(`${m.name}_bucket${labelText({ ...s.labels, le })} ${s.counts[i]}`));
+        lines.push(`${m.name}_bucket${labelText({ ...s.labels, le: "+Inf" })} ${s.count}`);
+        lines.push(`${m.name}_sum${labelText(s.labels)} ${s.sum}`);
+        lines.push(`${m.name}_count${labelText(s.labels)} ${s.count}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, collect, render };
+}
@@ -0,0 +1,30 @@
+// Cola con concurrencia limitada: push(fn) devuelve una promesa con el resultado de fn
+export function createQueue({ concurrency = 1 } = {}) {
+  const pending = [];
+  let active = 0;
+
+  function next() {
+    if (active >= concurrency || !pending.length) return;
+    const { fn, resolve, reject } = pending.shift();
+    active++;
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return {
+    push(fn) {
+      return new Promise((resolve, reject) => {
+        pending.push({ fn, resolve, reject });
+        next();
+      });
+    },
+    stats() {
+      return { concurrency, active, pending: pending.length };
+    }
+  };
+}
@@ -0,0 +1,75 @@
+// Límites de tasa tipo token bucket: salida por paquetería (se espera turno) y
+// entrada por cliente en la API (se responde 429).
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ratePerMin fichas por minuto, hasta `burst` acumuladas
+export function createTokenBucket({ ratePerMin, burst = 1, now = Date.now }) {
+  const perMs = ratePerMin / 60000;
+  let tokens = burst;
+  let last = now();
+
+  function refill() {
+    const t = now();
+    tokens = Math.min(burst, tokens + (t - last) * perMs);
+    last = t;
+  }
+
+  // 0 si había fichas (y se consumen n); si no, ms que faltan para tenerlas.
+  // Más de `burst` fichas nunca se juntan: con el bucket lleno se cobran igual y queda en deuda
+  // (saldo negativo) hasta que se recarga.
+  function tryTake(n = 1) {
+    refill();
+    const needed = Math.min(n, burst);
+    if (tokens >= needed) {
+      tokens -= n;
+      return 0;
+    }
+    return Math.ceil((needed - tokens) / perMs);
+  }
+
+  async function take() {
+    for (let wait = tryTake(); wait; wait = tryTake()) await sleep(wait);
+  }
+
+  function stats() {
+    refill();
+    return { ratePerMin, burst, tokens: Math.max(0, Math.floor(tokens)) };
+  }
+
+  return { take, tryTake, stats, idleFor: () => now() - last };
+}
+
+// Middleware de Express: `limit` solicitudes por `windowMs` por cliente (IP por omisión).
+// middleware.charge(req, res, n) cobra n fichas en una ruta que no pasa por el middleware (p. ej. una por
+// guía de un lote); si no alcanzan responde 429 y devuelve false.
+export function rateLimit({ limit, windowMs = 60000, keyOf = (req) => req.ip }) {
+  const buckets = new Map();
+
+  // Un cliente inactivo durante una ventana ya tiene el bucket lleno: se descarta
+  setInterval(() => {
+    for (const [key, bucket] of buckets) if (bucket.idleFor() > windowMs) buckets.delete(key);
+  }, windowMs).unref();
+
+  function charge(req, res, n) {
+    const key = keyOf(req);
+    let bucket = buckets.get(key);
+    if (!bucket) buckets.set(key, (bucket = createTokenBucket({ ratePerMin: (limit * 60000) / windowMs, burst: limit })));
+
+    const wait = bucket.tryTake(n);
+    res.set("RateLimit-Limit", String(limit));
+    res.set("RateLimit-Remaining", String(bucket.stats().tokens));
+    if (!wait) return true;
+
+    const retryAfter = Math.ceil(wait / 1000);
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({ ok: false, error: "Demasiadas solicitudes; intenta más tarde", retryAfter });
+    return false;
+  }
+
+  const middleware = (req, res, next) => {
+    if (charge(req, res, 1)) next();
+  };
+  middleware.charge = charge;
+  return middleware;
+}
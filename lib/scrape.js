@@ -0,0 +1,192 @@
+// Utilidades compartidas por los scrapers de cada paquetería (carriers/*.js).
+// La navegación (Playwright) y la extracción (adapter.parse sobre texto) van separadas
+// para poder probar los parsers sin red contra test/fixtures.
+import { normalizeStatus, STATUS } from "./status.js";
+import { parseCarrierDate } from "./dates.js";
+import { trackError } from "./errors.js";
+
+// Páginas de captcha / WAF (se revisan solo cuando el parser no encontró datos)
+const BLOCKED_PAGE = new RegExp(
+  [
+    "captcha", "verify (?:you are|that you're) (?:a )?human", "unusual traffic", "access denied",
+    "request (?:was )?blocked", "pardon our interruption", "attention required", "tr[aá]fico inusual",
+    "verifica(?:r)? que (?:eres|no eres un robot)", "acceso denegado"
+  ].join("|"),
+  "i"
+);
+
+export function sanitize(text) {
+  return (text || "")
+    .replace(/\u00A0/g, " ")                // nbsp
+    .replace(/[ \t]+/g, " ")
+    .replace(/skip to main content/gi, "")  // evitar falsos positivos
+    .replace(/ir al contenido principal/gi, "")
+    .trim();
+}
+
+export async function readBodyText(page) {
+  // Extrae todo el texto del body (más tolerante a cambios de DOM)
+  return await page.evaluate(() => {
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    let buf = "";
+    while (walker.nextNode()) buf += walker.currentNode.nodeValue + "\n";
+    return buf;
+  });
+}
+
+export const cap = (s) => (s ? s.trim().replace(/\s{2,}/g, " ") : s);
+
+// Coincidencias registradas mientras corre explain() (parse es síncrono, basta una variable)
+let hits = null;
+
+// Como text.match(re); en modo debug además registra qué patrón coincidió y dónde
+export function match(text, re) {
+  const m = (text || "").match(re);
+  if (m && hits) hits.push({ pattern: String(re), index: m.index, length: m[0].length, values: m.slice(1).map(cap) });
+  return m;
+}
+
+// Valor de un renglón "Etiqueta: valor" (o la etiqueta sola y el valor en la línea siguiente).
+// label es una alternativa de regex: "Origen|Origin"
+export function field(text, label) {
+  const m = match(text, new RegExp(`(?:^|\\n)[ \\t]*(?:${label})(?!\\w)[ \\t]*[:\\-]?\\s*([^\\n]+)`, "i"));
+  return cap(m?.[1]) || null;
+}
+
+// Navega a la URL, espera a que se calme la red y devuelve { text, html, timings } de la página
+export async function capturePage(page, url) {
+  const started = Date.now();
+  await page.goto(url, { waitUntil: "domcontentloaded", timeout: 45000 });
+  const loaded = Date.now();
+  await page.waitForLoadState("networkidle", { timeout: 20000 }).catch(() => {});
+  const timings = { gotoMs: loaded - started, settleMs: Date.now() - loaded };
+  return { text: sanitize(await readBodyText(page)), html: await page.content(), timings };
+}
+
+// Texto de la página -> detalles con estatus canónico y fechas ISO
+export function extract(adapter, text, { now } = {}) {
+  const details = adapter.parse(text, { now });
+  // status = texto tal cual de la página; statusCode = estatus canónico (lib/status.js)
+  const out = { ...details, statusCode: normalizeStatus(adapter.id, details.status) };
+  // Fechas en ISO 8601 con desfase, junto al texto original
+  const eta = parseCarrierDate(adapter.id, details.eta, { now });
+  if (eta) Object.assign(out, { etaIso: eta.iso, etaWindow: eta.window });
+  const delivered = parseCarrierDate(adapter.id, details.deliveredAt, { now });
+  if (delivered) out.deliveredAtIso = delivered.iso;
+  return out;
+}
+
+// Páginas que requieren interacción (formularios) las navega el adaptador con navigate();
+// lo que devuelva en `meta` se agrega a los detalles.
+export async function loadPage(page, adapter, { url, code }) {
+  if (adapter.navigate) return await adapter.navigate(page, { url, code });
+  return await capturePage(page, url);
+}
+
+const hasData = (d) => Boolean(d.status || d.eta || d.deliveredAt || d.events?.length);
+
+// Detalles de la página o error tipado: NOT_FOUND ("sin resultados" del adaptador), BLOCKED o PARSE_FAILED
+export function classify(adapter, text, { now, meta } = {}) {
+  if (adapter.notFound?.test(text)) throw trackError("NOT_FOUND", undefined, { partial: meta });
+  let details;
+  try {
+    details = { ...extract(adapter, text, { now }), ...meta };
+  } catch (e) {
+    throw trackError("PARSE_FAILED", `${adapter.name}: ${e.message}`, { partial: meta });
+  }
+  if (hasData(details)) return details;
+  if (BLOCKED_PAGE.test(text)) throw trackError("BLOCKED", undefined, { partial: meta });
+  throw trackError("PARSE_FAILED", undefined, { partial: details });
+}
+
+/* ---- Modo debug ---- */
+
+const DATE_FIELDS = new Set(["eta", "deliveredAt", "etd", "atd", "ata"]);
+const PLACE_FIELDS = new Set(["origin", "destination"]);
+
+// Confianza 0..1 de un campo: ¿el valor tiene la forma esperada para ese campo?
+function fieldConfidence(adapter, name, value, details, { now }) {
+  if (value == null || value === "") return 0;
+  if (Array.isArray(value)) return value.length ? 0.9 : 0;
+  let score = 0.6;
+  if (name === "status") score = details.statusCode !== STATUS.UNKNOWN ? 0.9 : 0.4;
+  else if (DATE_FIELDS.has(name)) score = parseCarrierDate(adapter.id, value, { now }) ? 0.9 : 0.3;
+  else if (PLACE_FIELDS.has(name)) score = /^[\p{L}0-9 .,'()/-]+$/u.test(value) ? 0.8 : 0.5;
+  else if (name === "signedBy") score = /^[\p{L} .'-]{3,40}$/u.test(value) ? 0.85 : 0.5;
+  // Un valor muy largo suele ser un renglón de más capturado por el patrón
+  if (String(value).length > 60) score *= 0.6;
+  return Math.round(score * 100) / 100;
+}
+
+// Por campo: qué patrón lo produjo, con el fragmento de texto alrededor, y su confianza
+export function explain(adapter, text, { now } = {}) {
+  const recorded = (hits = []);
+  let details;
+  try {
+    details = extract(adapter, text, { now });
+  } finally {
+    hits = null;
+  }
+
+  const provenance = {};
+  const confidence = {};
+  for (const name of adapter.fields.filter((f) => f in details)) {
+    const value = details[name];
+    confidence[name] = fieldConfidence(adapter, name, value, details, { now });
+    if (typeof value !== "string") {
+      provenance[name] = Array.isArray(value) ? { pattern: "parseEvents", count: value.length } : null;
+      continue;
+    }
+    // Coincidencia exacta; si no, la que contiene el valor (p. ej. voyage dentro de la línea de vessel)
+    const hit =
+      recorded.find((h) => h.values.includes(value)) || recorded.find((h) => h.values.some((v) => v?.includes(value)));
+    // Sin coincidencia el valor se calculó a partir de otros campos (p. ej. mode de Expeditors)
+    provenance[name] = hit
+      ? { pattern: hit.pattern, index: hit.index, snippet: text.slice(Math.max(0, hit.index - 40), hit.index + hit.length + 40) }
+      : { derived: true };
+  }
+  return { provenance, confidence };
+}
+
+// Datos de diagnóstico de la página ya cargada: texto, captura, URL final y tiempos
+async function debugInfo(page, adapter, text, { started, timings }) {
+  const navigation = await page
+    .evaluate(() => {
+      const n = performance.getEntriesByType("navigation")[0];
+      return n && {
+        responseStart: Math.round(n.responseStart),
+        domContentLoaded: Math.round(n.domContentLoadedEventEnd),
+        load: Math.round(n.loadEventEnd),
+        transferSize: n.transferSize
+      };
+    })
+    .catch(() => null);
+  const screenshot = await page.screenshot({ fullPage: true, type: "png" }).catch(() => null);
+  return {
+    finalUrl: page.url(),
+    timings: { ...timings, totalMs: Date.now() - started, navigation },
+    screenshot: screenshot && screenshot.toString("base64"),
+    text,
+    ...explain(adapter, text)
+  };
+}
+
+// debug: agrega `debug` al resultado (o a los datos parciales del error) con lo necesario para diagnosticar
+// onPhase("navigating" | "parsing") avisa el avance (p. ej. al stream SSE de /api/track/stream)
+export async function scrapePage(adapter, url, { withPage, code, debug = false, onPhase = () => {} }) {
+  return await withPage(async (page) => {
+    const started = Date.now();
+    onPhase("navigating");
+    const { text, meta, timings } = await loadPage(page, adapter, { url, code });
+    onPhase("parsing");
+    if (!debug) return classify(adapter, text, { meta });
+
+    const info = await debugInfo(page, adapter, text, { started, timings });
+    try {
+      return { ...classify(adapter, text, { meta }), debug: info };
+    } catch (e) {
+      e.partial = { ...e.partial, debug: info };
+      throw e;
+    }
+  });
+}
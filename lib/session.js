@@ -0,0 +1,103 @@
+// Sesión del frontend incluido: cookie firmada (HMAC) que se entrega al servir /frontend y exime
+// de API key a las solicitudes del mismo origen. SameSite=Strict: otros sitios no pueden enviarla.
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+import { trackError } from "./errors.js";
+
+export const SESSION_COOKIE = "mct_session";
+
+// Cookie: "a=1; b=2" -> { a: "1", b: "2" }
+export function parseCookies(header = "") {
+  const out = {};
+  for (const part of header.split(";")) {
+    const i = part.indexOf("=");
+    if (i <= 0) continue;
+    const raw = part.slice(i + 1).trim();
+    try {
+      out[part.slice(0, i).trim()] = decodeURIComponent(raw);
+    } catch {
+      out[part.slice(0, i).trim()] = raw;
+    }
+  }
+  return out;
+}
+
+// Sin secreto fijo (SESSION_SECRET) las sesiones no sobreviven a un reinicio: el frontend se recarga y listo
+export function createSessions({ secret = randomBytes(32).toString("hex"), ttlMs = 12 * 3600 * 1000, now = Date.now } = {}) {
+  const sign = (value) => createHmac("sha256", secret).update(value).digest("base64url");
+
+  // Valor de la cookie: "<expira>.<firma>"
+  function issue() {
+    const expires = String(now() + ttlMs);
+    return `${expires}.${sign(expires)}`;
+  }
+
+  // Token válido -> ms de vigencia restantes; inválido o vencido -> 0
+  function remaining(token) {
+    const [expires, signature] = String(token || "").split(".");
+    if (!expires || !signature || Number(expires) <= now()) return 0;
+    const expected = Buffer.from(sign(expires));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) return 0;
+    return Number(expires) - now();
+  }
+  const verify = (token) => remaining(token) > 0;
+  const tokenOf = (req) => parseCookies(req.headers.cookie)[SESSION_COOKIE];
+
+  // Solicitud del frontend: cookie válida y una señal positiva del navegador de venir del mismo origen
+  // (Sec-Fetch-Site o un Origin del mismo host). Sin ninguna (curl, scripts) la cookie sola no basta.
+  function fromSameOrigin(req) {
+    if (!verify(tokenOf(req))) return false;
+    const site = req.get("sec-fetch-site");
+    if (site) return site === "same-origin";
+    const origin = req.get("origin");
+    if (!origin) return false;
+    try {
+      return new URL(origin).host === req.get("host");
+    } catch {
+      return false;
+    }
+  }
+
+  // Middleware: entrega la cookie si falta y la renueva a media vigencia (un panel abierto todo el día sigue funcionando)
+  function middleware(req, res, next) {
+    if (remaining(tokenOf(req)) < ttlMs / 2) {
+      res.cookie(SESSION_COOKIE, issue(), {
+        httpOnly: true,
+        sameSite: "strict",
+        secure: req.secure,
+        maxAge: ttlMs,
+        path: "/"
+      });
+    }
+    next();
+  }
+
+  return { issue, verify, fromSameOrigin, middleware };
+}
+
+// Cuota diaria por IP (UTC, en memoria) para las consultas con sesión: los encabezados del navegador se pueden
+// imitar, así que la sesión tampoco da consultas ilimitadas. daily = 0: sin límite.
+export function createSessionQuota({ daily = 200, now = () => new Date() } = {}) {
+  let day = null;
+  const used = new Map();
+
+  function consume(ip) {
+    if (!daily) return;
+    const at = now();
+    // Día nuevo: se descartan los contadores anteriores
+    if (day !== at.toISOString().slice(0, 10)) {
+      day = at.toISOString().slice(0, 10);
+      used.clear();
+    }
+    const count = used.get(ip) || 0;
+    if (count >= daily) {
+      const midnight = Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), at.getUTCDate() + 1);
+      throw trackError("QUOTA_EXCEEDED", `Se agotó la cuota diaria del frontend para esta IP (${daily} consultas)`, {
+        retryAfter: Math.ceil((midnight - at.getTime()) / 1000)
+      });
+    }
+    used.set(ip, count + 1);
+  }
+
+  return { consume };
+}
@@ -0,0 +1,44 @@
+// Server-Sent Events sobre una respuesta de Express: eventos con nombre y datos JSON,
+// más un comentario periódico para que proxies y balanceadores no corten la conexión inactiva.
+export function openEventStream(res, { heartbeatMs = 25000 } = {}) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // nginx: no acumular la respuesta en el buffer
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const cleanups = [];
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), heartbeatMs);
+  heartbeat.unref();
+
+  function finish() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    for (const fn of cleanups) fn();
+  }
+  res.on("close", finish);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    // fn() al cerrar (cliente desconectado o close()), p. ej. para quitar listeners
+    onClose(fn) {
+      if (closed) fn();
+      else cleanups.push(fn);
+    },
+    close() {
+      finish();
+      res.end();
+    },
+    get closed() {
+      return closed;
+    }
+  };
+}
@@ -0,0 +1,85 @@
+// Estatus canónico de envío, común a todas las paqueterías.
+// Cada paquetería tiene su tabla (español e inglés); si nada coincide se usa la tabla común.
+
+export const STATUS = Object.freeze({
+  LABEL_CREATED: "label_created",
+  IN_TRANSIT: "in_transit",
+  READY_FOR_PICKUP: "ready_for_pickup",
+  OUT_FOR_DELIVERY: "out_for_delivery",
+  DELIVERED: "delivered",
+  EXCEPTION: "exception",
+  HELD_CUSTOMS: "held_customs",
+  RETURNED: "returned",
+  UNKNOWN: "unknown"
+});
+
+// Reglas [estatus, patrón]; gana la primera que coincide, así que el orden importa
+// (p. ej. "Delivery exception" debe caer en exception antes que en delivered).
+const COMMON = [
+  [STATUS.RETURNED, /\b(devuelto|devoluci[oó]n|en retorno|retornado al remitente|returned|return(?:ing)? to (?:sender|shipper))/i],
+  [STATUS.HELD_CUSTOMS, /(aduana|customs|clearance (?:delay|in progress|event))/i],
+  [STATUS.EXCEPTION, /(excepci[oó]n|incidencia|retrasad|demora|direcci[oó]n incorrecta|intento de entrega|no se pudo entregar|exception|delay|failed attempt|delivery attempt|incorrect address|unable to deliver)/i],
+  [STATUS.DELIVERED, /^(entregad[oa]|delivered)\b/i],
+  [STATUS.OUT_FOR_DELIVERY, /(en ruta de entrega|en reparto|sali[oó] para entrega|out for delivery|on (?:\w+ )?vehicle for delivery)/i],
+  [STATUS.LABEL_CREATED, /(etiqueta creada|informaci[oó]n de env[ií]o|env[ií]o creado|label created|shipment information sent|order processed)/i],
+  [STATUS.IN_TRANSIT, /(en tr[aá]nsito|en camino|en movimiento|recolectado|recogido|recibido|sali[oó] de|ha salido|in transit|on the way|on its way|picked up|received|departed|arrived)/i]
+];
+
+const TABLES = {
+  fedex: [
+    [STATUS.OUT_FOR_DELIVERY, /(listo para la entrega|ready for delivery|en veh[ií]culo (?:de \w+ )?para (?:la )?entrega)/i],
+    [STATUS.EXCEPTION, /(entrega pendiente|pending delivery|retraso en la entrega)/i],
+    [STATUS.LABEL_CREATED, /(etiqueta creada|label created|initiated|iniciado)/i]
+  ],
+  ups: [
+    [STATUS.OUT_FOR_DELIVERY, /(listo para entrega|out for delivery today|con el conductor)/i],
+    [STATUS.LABEL_CREATED, /(etiqueta creada|label created|shipper created a label)/i],
+    [STATUS.IN_TRANSIT, /(tenemos su paquete|we have your package|procesando en|processing at)/i]
+  ],
+  dhl: [
+    [STATUS.OUT_FOR_DELIVERY, /(listo para la entrega|con el mensajero|with delivery courier)/i],
+    [STATUS.LABEL_CREATED, /(datos electr[oó]nicos|shipment information received|env[ií]o registrado)/i],
+    [STATUS.IN_TRANSIT, /(procesad[oa] en|processed at|en instalaci[oó]n|at (?:dhl )?facility)/i]
+  ],
+  delta: [
+    [STATUS.READY_FOR_PICKUP, /^(listo|ready)\b/i],
+    [STATUS.IN_TRANSIT, /(en bodega|at warehouse|received from shipper|recibido del remitente|booked|reservado)/i]
+  ],
+  expeditors: [
+    [STATUS.READY_FOR_PICKUP, /^(available|ready|disponible|listo)\b/i]
+  ],
+  estafeta: [
+    [STATUS.IN_TRANSIT, /(en proceso de entrega|pendiente en tr[aá]nsito|recolecci[oó]n (?:en|por))/i],
+    [STATUS.LABEL_CREATED, /(gu[ií]a (?:generada|documentada)|pendiente de recolecci[oó]n)/i]
+  ],
+  paquetexpress: [
+    [STATUS.READY_FOR_PICKUP, /(ocurre|disponible en sucursal|en sucursal para entrega)/i],
+    [STATUS.LABEL_CREATED, /(documentad[oa]|gu[ií]a generada)/i],
+    [STATUS.IN_TRANSIT, /(llegada a|salida de)/i]
+  ],
+  redpack: [
+    [STATUS.READY_FOR_PICKUP, /(ocurre|en oficina para recoger|disponible para recoger)/i],
+    [STATUS.LABEL_CREATED, /(gu[ií]a generada|documentad[oa])/i]
+  ],
+  "99minutos": [
+    [STATUS.EXCEPTION, /(no entregad[oa]|intento fallido|reprogramad[oa])/i],
+    [STATUS.OUT_FOR_DELIVERY, /^(en ruta|con (?:el )?repartidor)/i],
+    [STATUS.LABEL_CREATED, /(orden creada|pedido creado|confirmad[oa])/i]
+  ]
+};
+
+function tableFor(carrier) {
+  const c = (carrier || "").toLowerCase();
+  const key = Object.keys(TABLES).find((k) => c.includes(k));
+  return key ? TABLES[key] : [];
+}
+
+// Texto libre de la paquetería -> STATUS.*
+export function normalizeStatus(carrier, raw) {
+  const text = (raw || "").trim();
+  if (!text) return STATUS.UNKNOWN;
+  for (const [code, re] of [...tableFor(carrier), ...COMMON]) {
+    if (re.test(text)) return code;
+  }
+  return STATUS.UNKNOWN;
+}
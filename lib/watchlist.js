@@ -0,0 +1,206 @@
+// Lista de envíos vigilados: CRUD persistente + sondeo periódico con cadencia según estatus.
+// Emite "change" ({ shipment, changes, previous, current }) cuando cambia algún campo vigilado.
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+import { STATUS } from "./status.js";
+import { createLogger } from "./log.js";
+
+// Minutos entre consultas por estatus; null = dejar de consultar
+export const POLL_MINUTES = {
+  [STATUS.OUT_FOR_DELIVERY]: 15,
+  [STATUS.EXCEPTION]: 60,
+  [STATUS.HELD_CUSTOMS]: 60,
+  [STATUS.IN_TRANSIT]: 120,
+  [STATUS.READY_FOR_PICKUP]: 120,
+  [STATUS.LABEL_CREATED]: 360,
+  [STATUS.UNKNOWN]: 180,
+  [STATUS.DELIVERED]: null,
+  [STATUS.RETURNED]: null
+};
+
+// Campos cuyo cambio queda en el historial
+const WATCH_FIELDS = [
+  "status", "statusCode", "eta", "etaIso", "deliveredAt", "deliveredAtIso",
+  "signedBy", "origin", "destination", "lastScan"
+];
+const HISTORY_MAX = 100;
+
+// Resultado de /api/track -> datos del envío que se guardan (sin metadatos de la consulta)
+function snapshotOf(result) {
+  const { ok, carrier, code, officialUrl, detection, cache, cachedAt, alerts, ...details } = result;
+  return details;
+}
+
+function diff(prev = {}, next = {}) {
+  const changes = {};
+  for (const f of WATCH_FIELDS) {
+    if ((prev[f] ?? null) !== (next[f] ?? null)) changes[f] = { from: prev[f] ?? null, to: next[f] ?? null };
+  }
+  const lastEvent = (d) => d.events?.[d.events.length - 1]?.timestamp ?? null;
+  if (lastEvent(prev) !== lastEvent(next)) changes.lastEvent = { from: lastEvent(prev), to: lastEvent(next) };
+  return changes;
+}
+
+// Sin el historial (para listados)
+const summary = ({ history, ...rest }) => rest;
+
+// store: { load, write } (lib/json-store.js); track({ carrier, code, owner }) -> resultado de /api/track; log: lib/log.js
+export function createWatchlist({ store, track, tickMs = 30000, log = createLogger() }) {
+  const events = new EventEmitter();
+  let shipments = null;
+  let timer = null;
+  let ticking = false;
+
+  async function load() {
+    const data = await store.load();
+    return (shipments = data.shipments ||= []);
+  }
+  const save = () => store.write({ shipments });
+
+  function nextCheck(statusCode, from = Date.now()) {
+    const minutes = POLL_MINUTES[statusCode] === undefined ? POLL_MINUTES[STATUS.UNKNOWN] : POLL_MINUTES[statusCode];
+    return minutes == null ? null : new Date(from + minutes * 60000).toISOString();
+  }
+
+  async function list() {
+    return (await load()).map(summary);
+  }
+
+  async function get(id) {
+    return (await load()).find((s) => s.id === id) || null;
+  }
+
+  // owner: id de la API key que lo agregó (null = sin dueño); cada dueño tiene su propia lista
+  async function add({ carrier, code, label, owner = null }) {
+    await load();
+    const dup = shipments.find((s) => s.carrier === carrier && s.code === code && (s.owner ?? null) === owner);
+    if (dup) {
+      const err = new Error("El envío ya está en la lista");
+      err.status = 409;
+      err.shipment = summary(dup);
+      throw err;
+    }
+    const now = new Date().toISOString();
+    const shipment = {
+      id: randomUUID(),
+      carrier,
+      code,
+      label: label || null,
+      owner,
+      active: true,
+      createdAt: now,
+      updatedAt: now,
+      lastCheckedAt: null,
+      nextCheckAt: now,
+      lastError: null,
+      lastErrorCode: null,
+      details: null,
+      history: []
+    };
+    shipments.push(shipment);
+    await save();
+    return summary(shipment);
+  }
+
+  async function update(id, { label, active }) {
+    const s = await get(id);
+    if (!s) return null;
+    if (label !== undefined) s.label = label || null;
+    if (active !== undefined) {
+      s.active = Boolean(active);
+      s.nextCheckAt = s.active ? new Date().toISOString() : null;
+    }
+    s.updatedAt = new Date().toISOString();
+    await save();
+    return summary(s);
+  }
+
+  async function remove(id) {
+    await load();
+    const i = shipments.findIndex((s) => s.id === id);
+    if (i < 0) return false;
+    shipments.splice(i, 1);
+    await save();
+    return true;
+  }
+
+  // Consulta el envío y guarda un snapshot si cambió algo. track recibe el dueño del envío (owner) para
+  // cobrarle la consulta; query agrega datos de quien la pidió (p. ej. la sesión del frontend)
+  async function refresh(id, query = {}) {
+    const s = await get(id);
+    if (!s) return null;
+    const at = new Date().toISOString();
+    s.lastCheckedAt = at;
+
+    let result;
+    try {
+      result = await track({ carrier: s.carrier, code: s.code, fresh: true, owner: s.owner ?? null, ...query });
+    } catch (e) {
+      result = { ok: false, error: e.message };
+    }
+
+    if (!result.ok || !result.status) {
+      // Sin datos nuevos: se conserva lo último conocido y se reintenta con la cadencia actual
+      s.lastError = result.error || "Sin datos";
+      s.lastErrorCode = result.errorCode || null;
+      s.nextCheckAt = nextCheck(s.details?.statusCode, Date.now());
+      await save();
+      return summary(s);
+    }
+
+    const current = snapshotOf(result);
+    const previous = s.details;
+    const changes = diff(previous || {}, current);
+    s.details = current;
+    s.lastError = null;
+    s.lastErrorCode = null;
+    s.updatedAt = at;
+    if (Object.keys(changes).length) {
+      s.history.push({ at, changes, snapshot: current });
+      if (s.history.length > HISTORY_MAX) s.history.splice(0, s.history.length - HISTORY_MAX);
+    }
+    s.nextCheckAt = nextCheck(current.statusCode, Date.now());
+    if (!s.nextCheckAt) s.active = false;
+    await save();
+
+    if (Object.keys(changes).length) events.emit("change", { shipment: summary(s), changes, previous, current });
+    return summary(s);
+  }
+
+  // Consulta en serie los envíos vencidos (el límite de concurrencia lo pone la cola de scraping).
+  // Nunca rechaza: corre desde setInterval y una promesa rechazada sin manejar tumba el proceso
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const now = Date.now();
+      const due = (await load()).filter((s) => s.active && s.nextCheckAt && Date.parse(s.nextCheckAt) <= now);
+      for (const s of due) {
+        await refresh(s.id).catch((e) => log.error("watchlist refresh", { shipment: s.id, carrier: s.carrier, err: e }));
+      }
+    } catch (e) {
+      // shipments.json ilegible: se reintenta en el siguiente turno
+      log.error("watchlist tick", { err: e });
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start() {
+    if (!timer) {
+      timer = setInterval(tick, tickMs);
+      timer.unref();
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    list, get, add, update, remove, refresh, tick, start, stop,
+    on: events.on.bind(events),
+    off: events.off.bind(events)
+  };
+}
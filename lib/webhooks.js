@@ -0,0 +1,187 @@
+// Webhooks: POST de un JSON firmado (HMAC-SHA256) a las URLs registradas.
+// Reintenta con backoff exponencial; lo que no se entrega queda en dead letters para reenviarlo.
+import { createHmac, randomBytes, randomUUID } from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import { createLogger } from "./log.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms).unref());
+
+// Destinos internos que un webhook no puede alcanzar (SSRF): sin especificar, privadas, CGNAT, loopback,
+// link-local (metadatos de la nube en 169.254.169.254), benchmarking, multicast y reservadas
+const INTERNAL = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) {
+  INTERNAL.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  INTERNAL.addSubnet(address, prefix, "ipv6");
+}
+
+function isInternal(address) {
+  // IPv6 con IPv4 embebida (::ffff:127.0.0.1): se revisa la IPv4
+  const v4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)?.[1];
+  if (v4) return INTERNAL.check(v4, "ipv4");
+  return INTERNAL.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+function badUrl(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Rechaza (status 400) URLs que no son http/https o cuyo host resuelve a alguna dirección interna
+export async function assertPublicUrl(url, { lookup = dns.lookup } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw badUrl("URL de webhook inválida");
+  }
+  if (!/^https?:$/.test(parsed.protocol)) throw badUrl("El webhook debe ser http o https");
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await lookup(host, { all: true });
+  } catch {
+    throw badUrl(`No se pudo resolver el host del webhook: ${host}`);
+  }
+  if (addresses.some((a) => isInternal(a.address))) {
+    throw badUrl("El webhook apunta a una dirección interna (localhost, red privada o link-local)");
+  }
+}
+
+// Firma que el receptor debe recalcular sobre el cuerpo crudo: "sha256=<hex>"
+export function sign(secret, body) {
+  return "sha256=" + createHmac("sha256", secret).update(body).digest("hex");
+}
+
+// El secreto solo se muestra al crear el webhook
+const publicHook = ({ secret, ...hook }) => hook;
+
+// store: { load, write } (lib/json-store.js). allowPrivate: aceptar destinos internos (desarrollo);
+// lookup (DNS) y wait (espera entre reintentos) son inyectables en pruebas; log: lib/log.js
+export function createWebhooks({
+  store, retries = 5, baseDelayMs = 1000, timeoutMs = 10000, fetchImpl = fetch, allowPrivate = false, lookup, wait = sleep,
+  log = createLogger()
+}) {
+  const checkUrl = (url) => (allowPrivate ? Promise.resolve() : assertPublicUrl(url, { lookup }));
+
+  let data = null;
+
+  async function load() {
+    const d = await store.load();
+    d.hooks ||= [];
+    d.deadLetters ||= [];
+    return (data = d);
+  }
+  const save = () => store.write(data);
+
+  async function list() {
+    return (await load()).hooks.map(publicHook);
+  }
+
+  async function add({ url, secret }) {
+    await checkUrl(url);
+    await load();
+    const hook = {
+      id: randomUUID(),
+      url,
+      secret: secret || randomBytes(24).toString("hex"),
+      createdAt: new Date().toISOString()
+    };
+    data.hooks.push(hook);
+    await save();
+    return hook;
+  }
+
+  async function remove(id) {
+    await load();
+    const i = data.hooks.findIndex((h) => h.id === id);
+    if (i < 0) return false;
+    data.hooks.splice(i, 1);
+    await save();
+    return true;
+  }
+
+  async function post(hook, delivery) {
+    // Se revisa en cada envío: el DNS del host pudo cambiar desde que se registró
+    await checkUrl(hook.url);
+    const body = JSON.stringify(delivery.payload);
+    const r = await fetchImpl(hook.url, {
+      method: "POST",
+      // Sin seguir redirecciones (podrían llevar a una dirección interna): un 3xx cuenta como falla
+      redirect: "manual",
+      headers: {
+        "content-type": "application/json",
+        "x-webhook-id": hook.id,
+        "x-delivery-id": delivery.id,
+        "x-signature-256": sign(hook.secret, body)
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+  }
+
+  // Intenta entregar con backoff (1s, 2s, 4s, ...); devuelve true si se entregó
+  async function deliver(hook, delivery) {
+    let lastError = null;
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      try {
+        await post(hook, delivery);
+        return true;
+      } catch (e) {
+        lastError = e.message;
+        delivery.attempts = (delivery.attempts || 0) + 1;
+        if (attempt < retries) await wait(baseDelayMs * 2 ** (attempt - 1));
+      }
+    }
+    delivery.lastError = lastError;
+    return false;
+  }
+
+  // Envía el payload a todos los webhooks; las fallas definitivas van a dead letters
+  async function notify(payload) {
+    await load();
+    await Promise.all(
+      data.hooks.map(async (hook) => {
+        const delivery = { id: randomUUID(), hookId: hook.id, url: hook.url, payload, attempts: 0 };
+        if (await deliver(hook, delivery)) return;
+        log.error("webhook dead letter", { hookId: hook.id, url: hook.url, deliveryId: delivery.id, attempts: delivery.attempts, error: delivery.lastError });
+        data.deadLetters.push({ ...delivery, failedAt: new Date().toISOString() });
+        await save();
+      })
+    );
+  }
+
+  async function deadLetters() {
+    return (await load()).deadLetters;
+  }
+
+  // Reenvía una dead letter (o todas si no se indica id); las entregadas salen de la lista
+  async function replay(id) {
+    await load();
+    const pending = data.deadLetters.filter((d) => !id || d.id === id);
+    const results = [];
+    for (const dl of pending) {
+      const hook = data.hooks.find((h) => h.id === dl.hookId);
+      let delivered = false;
+      if (hook) {
+        delivered = await deliver(hook, dl);
+      } else {
+        dl.lastError = "Webhook eliminado";
+      }
+      if (delivered) data.deadLetters = data.deadLetters.filter((d) => d.id !== dl.id);
+      else dl.failedAt = new Date().toISOString();
+      results.push({ id: dl.id, delivered, attempts: dl.attempts, error: delivered ? null : dl.lastError });
+    }
+    await save();
+    return results;
+  }
+
+  return { list, add, remove, notify, deadLetters, replay };
+}
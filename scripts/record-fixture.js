@@ -0,0 +1,74 @@
+// Graba fixtures para las pruebas de parsers (ver lib/fixtures.js).
+//   node scripts/record-fixture.js <carrier> <code> [nombre]   consulta la página real y la guarda
+//   node scripts/record-fixture.js --update                      regenera las salidas doradas desde los .txt
+// Revisa el .json generado antes de commitearlo: la salida dorada es lo que el parser DEBE devolver.
+import { getCarrier } from "../carriers/index.js";
+import { createBrowserPool } from "../lib/browser-pool.js";
+import { loadPage, extract } from "../lib/scrape.js";
+import { saveFixture, loadFixtures } from "../lib/fixtures.js";
+
+const stable = (v) => JSON.parse(JSON.stringify(v));
+
+async function record(carrierArg, code, name) {
+  const adapter = getCarrier(carrierArg);
+  if (!adapter?.parse) throw new Error(`Carrier no soportado: ${carrierArg}`);
+  const url = adapter.link(code);
+  const pool = createBrowserPool({
+    maxSize: 1,
+    contextOptions: {
+      userAgent:
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126 Safari/537.36",
+      locale: "es-ES"
+    }
+  });
+  try {
+    const { text, html } = await pool.withPage((page) => loadPage(page, adapter, { url, code }));
+    const recordedAt = new Date().toISOString();
+    const expected = stable(extract(adapter, text, { now: new Date(recordedAt) }));
+    const file = await saveFixture({
+      carrier: adapter.id,
+      name: name || `${code}-${recordedAt.slice(0, 10)}`,
+      url,
+      text,
+      html,
+      recordedAt,
+      expected
+    });
+    console.log(`Fixture guardado: ${file}.{txt,html,json}`);
+    console.log(JSON.stringify(expected, null, 2));
+  } finally {
+    await pool.close();
+  }
+}
+
+// Campos de primer nivel que cambian entre la salida dorada y la nueva
+function changedFields(before = {}, after = {}) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter((k) => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+}
+
+// Solo reescribe los fixtures cuya salida cambió y muestra antes/después de cada campo para revisarlo a mano
+async function update() {
+  for (const fx of await loadFixtures()) {
+    const adapter = getCarrier(fx.carrier);
+    const expected = stable(extract(adapter, fx.text, { now: new Date(fx.meta.recordedAt) }));
+    const changed = changedFields(fx.meta.expected, expected);
+    if (!changed.length) continue;
+    await saveFixture({ ...fx.meta, name: fx.name, text: fx.text, expected });
+    console.log(`Actualizado: ${fx.carrier}/${fx.name}`);
+    for (const k of changed) {
+      console.log(`  ${k}: ${JSON.stringify(fx.meta.expected?.[k])}\n    -> ${JSON.stringify(expected[k])}`);
+    }
+  }
+}
+
+const [arg, code, name] = process.argv.slice(2);
+const run = arg === "--update" ? update() : arg && code ? record(arg, code, name) : null;
+if (!run) {
+  console.error("Uso: node scripts/record-fixture.js <carrier> <code> [nombre] | --update");
+  process.exit(2);
+}
+run.catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
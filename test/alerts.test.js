@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAlertEngine } from "../lib/alerts.js";
+
+const now = new Date("2025-08-27T20:00:00Z");
+const rulesOf = (alerts) => alerts.map((a) => [a.rule, a.severity]);
+
+test("alertas: ETA vencida y sin escaneos, más graves primero; entregado no alerta", () => {
+  const engine = createAlertEngine();
+  const details = {
+    status: "En tránsito",
+    statusCode: "in_transit",
+    etaIso: "2025-08-26T00:00:00-06:00",
+    events: [{ timestamp: "2025-08-23T10:00:00-06:00", description: "Salió de MEMPHIS" }]
+  };
+  const alerts = engine.evaluate("fedex", details, { now });
+  assert.deepEqual(rulesOf(alerts), [["eta_passed", "warning"], ["no_scan", "warning"]]);
+  assert.equal(alerts[0].hoursLate, 38);
+  assert.equal(alerts[1].hours, 100);
+
+  assert.deepEqual(engine.evaluate("fedex", { ...details, statusCode: "delivered", deliveredAt: "27/08/2025" }, { now }), []);
+});
+
+test("alertas: palabras clave sin acentos en el último evento y estatus de excepción", () => {
+  const engine = createAlertEngine();
+  const alerts = engine.evaluate(
+    "estafeta",
+    {
+      status: "Incidencia en la entrega",
+      statusCode: "exception",
+      events: [
+        { timestamp: "2025-08-27T09:00:00-06:00", description: "Destinatario ausente" },
+        { timestamp: "2025-08-27T12:00:00-06:00", description: "DIRECCION INCORRECTA, se contactará al remitente" }
+      ]
+    },
+    { now }
+  );
+  assert.deepEqual(rulesOf(alerts), [["exception_status", "critical"], ["keyword", "critical"]]);
+  assert.equal(alerts[1].keyword, "dirección incorrecta");
+  assert.equal(alerts[1].where, "event");
+
+  // Frase completa: "lost" no coincide dentro de otra palabra
+  assert.deepEqual(engine.evaluate("ups", { status: "Closet pickup point", statusCode: "in_transit" }, { now }), []);
+});
+
+test("alertas: reglas por paquetería y sobrescritas", () => {
+  const lastScan = { statusCode: "in_transit", events: [{ timestamp: "2025-08-24T12:00:00Z", description: "Loaded on vessel" }] };
+  // 72 h sin escaneo alerta en FedEx, pero no en marítimo (Expeditors: 240 h)
+  assert.equal(createAlertEngine().evaluate("fedex", lastScan, { now })[0]?.rule, "no_scan");
+  assert.deepEqual(createAlertEngine().evaluate("expeditors", lastScan, { now }), []);
+
+  const engine = createAlertEngine({
+    overrides: { default: { noScan: { severity: "critical" } }, fedex: { noScan: { enabled: false } }, ups: { keywords: { patterns: ["on vessel"] } } }
+  });
+  assert.deepEqual(engine.evaluate("fedex", lastScan, { now }), []);
+  assert.deepEqual(rulesOf(engine.evaluate("ups", lastScan, { now })), [["keyword", "critical"], ["no_scan", "critical"]]);
+});
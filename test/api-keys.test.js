@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createApiKeys } from "../lib/api-keys.js";
+import { createSessions, SESSION_COOKIE } from "../lib/session.js";
+
+// Store en memoria con la forma de lib/json-store.js: load() devuelve el estado guardado
+const memoryStore = () => {
+  let data = { keys: [] };
+  return { load: async () => data, write: async (d) => void (data = d), peek: () => data };
+};
+
+test("api keys: solo se guarda el hash y la key revocada deja de validar", async () => {
+  const store = memoryStore();
+  const keys = createApiKeys({ store });
+  const { key, apiKey } = await keys.create({ name: "tienda", carriers: ["DHL"], origins: ["https://tienda.mx"] });
+  assert.match(key, /^mct_[0-9a-f]{48}$/);
+  assert.ok(!JSON.stringify(store.peek()).includes(key));
+  assert.equal(apiKey.hash, undefined);
+  assert.deepEqual(apiKey.quota, { daily: 1000, monthly: 20000 });
+
+  const found = await keys.verify(key);
+  assert.equal(found.id, apiKey.id);
+  assert.ok(keys.allowsCarrier(found, "dhl"));
+  assert.ok(!keys.allowsCarrier(found, "fedex"));
+  assert.ok(await keys.originAllowed("https://tienda.mx"));
+  assert.ok(!(await keys.originAllowed("https://otro.mx")));
+
+  await keys.revoke(apiKey.id);
+  assert.equal(await keys.verify(key), null);
+  assert.equal(await keys.verify("mct_" + "0".repeat(48)), null);
+});
+
+test("api keys: cuota diaria con retryAfter hasta la medianoche UTC y reinicio al día siguiente", async () => {
+  let now = new Date("2025-08-27T23:00:00Z");
+  const keys = createApiKeys({ store: memoryStore(), now: () => now });
+  const { apiKey } = await keys.create({ daily: 2, monthly: 3 });
+
+  await keys.consume(apiKey.id, "ups");
+  const usage = await keys.consume(apiKey.id, "dhl");
+  assert.equal(usage.daily, 2);
+  assert.deepEqual(usage.byCarrier, { ups: 1, dhl: 1 });
+  await assert.rejects(keys.consume(apiKey.id, "ups"), (e) => e.code === "QUOTA_EXCEEDED" && e.retryAfter === 3600);
+
+  // Nuevo día: la diaria se reinicia, la mensual sigue contando
+  now = new Date("2025-08-28T08:00:00Z");
+  await keys.consume(apiKey.id, "ups");
+  await assert.rejects(keys.consume(apiKey.id, "ups"), (e) => /mensual/.test(e.message) && e.retryAfter === 4 * 86400 - 8 * 3600);
+  assert.equal((await keys.get(apiKey.id)).usage.total, 3);
+});
+
+test("sesión: cookie firmada, vencida o alterada no vale", () => {
+  let t = 0;
+  const sessions = createSessions({ secret: "s", ttlMs: 1000, now: () => t });
+  const token = sessions.issue();
+  assert.ok(sessions.verify(token));
+  assert.ok(!sessions.verify(token.replace(/^\d+/, "999999")));
+  const req = (headers) => ({ headers, get: (h) => headers[h.toLowerCase()] });
+  const cookie = `${SESSION_COOKIE}=${token}`;
+  assert.ok(sessions.fromSameOrigin(req({ cookie, host: "a.mx", origin: "http://a.mx" })));
+  assert.ok(!sessions.fromSameOrigin(req({ cookie, host: "a.mx", origin: "http://b.mx" })));
+  assert.ok(!sessions.fromSameOrigin(req({ cookie, host: "a.mx", "sec-fetch-site": "cross-site" })));
+  t = 1000;
+  assert.ok(!sessions.verify(token));
+});
@@ -0,0 +1,445 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs";
+import request from "supertest";
+import { createApp } from "../app.js";
+import { startServer } from "../server.js";
+import defaultHandler, { createHandler } from "../api/index.js";
+import { createLogger } from "../lib/log.js";
+import { trackError } from "../lib/errors.js";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "mct-app-"));
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// API oficial de FedEx simulada: sin red ni navegador
+let apiCalls = 0;
+const apiProviders = {
+  fedex: {
+    carrier: "fedex",
+    track: async () => {
+      apiCalls++;
+      return { status: "Entregado", statusCode: "delivered", signedBy: "J.PEREZ" };
+    }
+  }
+};
+const config = { env: {}, dataDir, apiProviders, watch: false, logLevel: "silent" };
+
+test("createApp: GET y POST /api/track responden lo mismo", async () => {
+  const app = createApp(config);
+  const get = await request(app).get("/api/track").query({ carrier: "fedex", code: "123456789012" });
+  assert.equal(get.status, 200);
+  assert.equal(get.body.ok, true);
+  assert.equal(get.body.source, "api");
+  assert.equal(get.body.statusCode, "delivered");
+  assert.equal(get.body.cache, "miss");
+
+  const post = await request(app).post("/api/track").send({ carrier: "fedex", code: "123456789012" });
+  assert.equal(post.status, 200);
+  assert.equal(post.body.cache, "hit");
+  assert.equal(post.body.signedBy, "J.PEREZ");
+  assert.equal(post.body.officialUrl, get.body.officialUrl);
+  assert.equal(apiCalls, 1);
+  await app.close();
+});
+
+test("createApp: validación y modo solo enlace por POST", async () => {
+  const app = createApp(config);
+  const missing = await request(app).post("/api/track").send({ carrier: "ups" });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error, "Falta parámetro: code");
+
+  // UPS sin credenciales ni scraping: enlace oficial
+  const link = await request(app).post("/api/track").send({ carrier: "auto", code: "1Z999AA10123456784" });
+  assert.equal(link.status, 200);
+  assert.equal(link.body.errorCode, "SCRAPE_DISABLED");
+  assert.equal(link.body.carrier, "ups");
+  assert.match(link.body.officialUrl, /ups\.com/);
+
+  const unknown = await request(app).post("/api/track").send({ carrier: "pigeon", code: "ABC12345" });
+  assert.equal(unknown.status, 400);
+  await app.close();
+});
+
+test("límite por cliente: un lote cuenta una ficha por guía", async () => {
+  const app = createApp({ ...config, apiRateLimit: 5 });
+  const items = Array.from({ length: 10 }, () => ({ carrier: "fedex", code: "123456789012" }));
+  // Con el bucket lleno el lote pasa aunque tenga más guías que el límite, y queda a deber el resto
+  const batch = await request(app).post("/api/track/batch").send({ items });
+  assert.equal(batch.status, 200);
+  assert.equal(batch.body.count, 10);
+  const over = await request(app).get("/api/carriers");
+  assert.equal(over.status, 429);
+  assert.ok(Number(over.headers["retry-after"]) >= 6);
+  await app.close();
+});
+
+test("server.js: escucha en un puerto y se cierra limpio", async () => {
+  const { server, close } = startServer({ ...config, port: 0 });
+  await new Promise((r) => server.once("listening", r));
+  const res = await request(server).get("/api/health");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.api, ["fedex"]);
+  const ui = await request(server).get("/");
+  assert.equal(ui.status, 302);
+  assert.equal(ui.headers.location, "/frontend/index.html");
+  await close();
+});
+
+test("api/index.js: handler serverless con eventos de API Gateway", async () => {
+  // El handler por omisión usa process.env y data/ del repo (con USE_SCRAPE=1 consultaría en vivo): solo se importa
+  assert.equal(typeof defaultHandler, "function");
+  const handler = createHandler(config);
+  const carriers = await handler(
+    { httpMethod: "GET", path: "/api/carriers", headers: {}, queryStringParameters: null, body: null },
+    {}
+  );
+  assert.equal(carriers.statusCode, 200);
+  assert.ok(JSON.parse(carriers.body).carriers.some((c) => c.id === "dhl"));
+
+  const tracked = await handler(
+    {
+      httpMethod: "POST",
+      path: "/api/track",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ carrier: "dhl", code: "3318810025" })
+    },
+    {}
+  );
+  const body = JSON.parse(tracked.body);
+  assert.equal(body.carrier, "dhl");
+  assert.match(body.officialUrl, /dhl/);
+});
+
+test("métricas y logs: /metrics en formato Prometheus y reqId en cada línea", async () => {
+  const lines = [];
+  const log = createLogger({ write: (l) => lines.push(JSON.parse(l)) });
+  const failing = {
+    ...apiProviders,
+    dhl: { carrier: "dhl", track: async () => { throw trackError("NOT_FOUND"); } }
+  };
+  const app = createApp({ ...config, apiProviders: failing, log });
+
+  await request(app).get("/api/track").query({ carrier: "fedex", code: "123456789012" });
+  const res = await request(app).post("/api/track").set("X-Request-Id", "req-42").send({ carrier: "dhl", code: "3318810025" });
+  assert.equal(res.status, 404);
+  assert.equal(res.headers["x-request-id"], "req-42");
+  // El error de la consulta (después del body parser) conserva el id de la solicitud
+  assert.ok(lines.some((l) => l.msg === "track error" && l.reqId === "req-42" && l.errorCode === "NOT_FOUND"));
+  assert.ok(lines.some((l) => l.msg === "request" && l.reqId === "req-42" && l.status === 404 && l.path === "/api/track"));
+
+  const metrics = await request(app).get("/metrics");
+  assert.match(metrics.headers["content-type"], /^text\/plain;.*version=0\.0\.4/);
+  assert.match(metrics.text, /mct_lookups_total\{carrier="fedex",source="api",result="success"\} 1/);
+  assert.match(metrics.text, /mct_lookups_total\{carrier="dhl",source="api",result="not_found"\} 1/);
+  assert.match(metrics.text, /mct_field_hits_total\{carrier="fedex",source="api",field="signedBy"\} 1/);
+  assert.doesNotMatch(metrics.text, /mct_field_hits_total\{carrier="fedex",source="api",field="eta"\}/);
+  assert.match(metrics.text, /mct_field_checks_total\{carrier="fedex",source="api",field="eta"\} 1/);
+  assert.match(metrics.text, /mct_lookup_duration_seconds_count\{carrier="fedex",source="api"\} 1/);
+  assert.match(metrics.text, /mct_http_requests_total\{method="POST",route="\/api\/track",status="404"\} 1/);
+  await app.close();
+});
+
+// Lee eventos SSE de una respuesta de fetch hasta que stop(eventos) sea verdadero
+async function readEvents(res, stop) {
+  const events = [];
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let i;
+    while ((i = buffer.indexOf("\n\n")) >= 0) {
+      const block = buffer.slice(0, i);
+      buffer = buffer.slice(i + 2);
+      const event = block.match(/^event: (.+)$/m)?.[1];
+      const data = block.match(/^data: (.+)$/m)?.[1];
+      if (event) events.push({ event, data: JSON.parse(data) });
+    }
+    if (stop(events)) break;
+  }
+  return events;
+}
+
+test("SSE: fases, resultado y cambios de un envío vigilado", async (t) => {
+  let status = { status: "En tránsito", statusCode: "in_transit" };
+  const app = createApp({ ...config, apiProviders: { ...apiProviders, ups: { carrier: "ups", track: async () => status } } });
+  const server = app.listen(0);
+  t.after(async () => {
+    server.closeAllConnections();
+    await new Promise((r) => server.close(r));
+    await app.close();
+  });
+  await new Promise((r) => server.once("listening", r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // Sin vigilar: fases, resultado y cierre
+  const once = await fetch(`${base}/api/track/stream?carrier=fedex&code=123456789012`);
+  assert.match(once.headers.get("content-type"), /text\/event-stream/);
+  const events = await readEvents(once, () => false);
+  assert.deepEqual(
+    events.map((e) => e.event === "phase" ? e.data.phase : e.event),
+    ["queued", "navigating", "done", "result", "watch"]
+  );
+  assert.equal(events[3].data.signedBy, "J.PEREZ");
+  assert.equal(events[4].data.watching, false);
+
+  // Vigilado: la conexión sigue abierta y recibe el cambio a entregado
+  const added = await request(app).post("/api/shipments").send({ carrier: "ups", code: "1Z999AA10123456784" });
+  const id = added.body.shipment.id;
+  await request(app).post(`/api/shipments/${id}/refresh`);
+  const live = await fetch(`${base}/api/track/stream?carrier=ups&code=1Z999AA10123456784`);
+  let refreshed = false;
+  const got = await readEvents(live, (evs) => {
+    // Ya suscrito: el siguiente sondeo detecta la entrega
+    if (!refreshed && evs.some((e) => e.event === "watch")) {
+      refreshed = true;
+      status = { status: "Entregado", statusCode: "delivered", signedBy: "RECEPCION" };
+      request(app).post(`/api/shipments/${id}/refresh`).end(() => {});
+    }
+    return evs.some((e) => e.event === "update");
+  });
+  assert.deepEqual(got.find((e) => e.event === "watch").data, { watching: true, shipments: [id] });
+  const update = got.find((e) => e.event === "update").data;
+  assert.equal(update.shipmentId, id);
+  assert.deepEqual(update.changes.statusCode, { from: "in_transit", to: "delivered" });
+  assert.equal(update.result.signedBy, "RECEPCION");
+});
+
+test("SSE: muchos espectadores de un envío y lista ilegible", async (t) => {
+  let status = { status: "En tránsito", statusCode: "in_transit" };
+  const dir = fs.mkdtempSync(path.join(dataDir, "sse-"));
+  const app = createApp({ ...config, dataDir: dir, apiProviders: { ...apiProviders, ups: { carrier: "ups", track: async () => status } } });
+  const server = app.listen(0);
+  const warnings = [];
+  const onWarning = (w) => warnings.push(w.name);
+  process.on("warning", onWarning);
+  t.after(async () => {
+    process.off("warning", onWarning);
+    server.closeAllConnections();
+    await new Promise((r) => server.close(r));
+    await app.close();
+  });
+  await new Promise((r) => server.once("listening", r));
+  const url = `http://127.0.0.1:${server.address().port}/api/track/stream?carrier=ups&code=1Z999AA10123456784`;
+
+  const { id } = (await request(app).post("/api/shipments").send({ carrier: "ups", code: "1Z999AA10123456784" })).body.shipment;
+  // 12 conexiones (más que el límite de 10 listeners de EventEmitter) esperando el cambio
+  const viewers = await Promise.all(Array.from({ length: 12 }, () => fetch(url)));
+  let subscribed = 0;
+  const reads = viewers.map((res) =>
+    readEvents(res, (evs) => {
+      if (evs.at(-1)?.event === "watch" && evs.at(-1).data.watching && ++subscribed === viewers.length) {
+        status = { status: "Entregado", statusCode: "delivered" };
+        request(app).post(`/api/shipments/${id}/refresh`).end(() => {});
+      }
+      return evs.some((e) => e.event === "update");
+    })
+  );
+  for (const events of await Promise.all(reads)) {
+    assert.equal(events.find((e) => e.event === "update").data.result.statusCode, "delivered");
+  }
+  await new Promise((r) => setImmediate(r));
+  assert.deepEqual(warnings, []);
+
+  // shipments.json ilegible: el resultado llega y el stream se cierra sin vigilar
+  fs.writeFileSync(path.join(dir, "shipments.json"), "{ corrupto");
+  const broken = createApp({ ...config, dataDir: dir });
+  const brokenServer = broken.listen(0);
+  t.after(async () => {
+    await new Promise((r) => brokenServer.close(r));
+    await broken.close();
+  });
+  await new Promise((r) => brokenServer.once("listening", r));
+  const res = await fetch(`http://127.0.0.1:${brokenServer.address().port}/api/track/stream?carrier=fedex&code=123456789012`);
+  const events = await readEvents(res, () => false);
+  assert.deepEqual(events.slice(-2).map((e) => e.event), ["result", "watch"]);
+  assert.equal(events.at(-1).data.watching, false);
+});
+
+test("API keys: key obligatoria, paqueterías, cuota, CORS por key y sesión del frontend", async () => {
+  const app = createApp({ ...config, requireApiKey: true, adminToken: "admin-secret" });
+
+  assert.equal((await request(app).post("/api/admin/keys").send({})).status, 401);
+  const created = await request(app)
+    .post("/api/admin/keys")
+    .set("Authorization", "Bearer admin-secret")
+    .send({ name: "tienda", daily: 2, carriers: ["fedex"], origins: ["https://tienda.mx"] });
+  assert.equal(created.status, 201);
+  const { key, apiKey } = created.body;
+
+  const anon = await request(app).get("/api/track").query({ carrier: "fedex", code: "123456789012" });
+  assert.equal(anon.status, 401);
+  assert.equal((await request(app).get("/api/health")).status, 200);
+
+  const ok = await request(app).get("/api/track").set("X-API-Key", key).set("Origin", "https://tienda.mx").query({ carrier: "fedex", code: "123456789012" });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.headers["access-control-allow-origin"], "https://tienda.mx");
+  const otherOrigin = await request(app).get("/api/carriers").set("X-API-Key", key).set("Origin", "https://otro.mx");
+  assert.equal(otherOrigin.headers["access-control-allow-origin"], undefined);
+
+  const denied = await request(app).get("/api/track").set("X-API-Key", key).query({ carrier: "ups", code: "1Z999AA10123456784" });
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.errorCode, "CARRIER_NOT_ALLOWED");
+
+  await request(app).post("/api/track").set("X-API-Key", key).send({ carrier: "fedex", code: "123456789012" });
+  const over = await request(app).get("/api/track").set("X-API-Key", key).query({ carrier: "fedex", code: "123456789012" });
+  assert.equal(over.status, 429);
+  assert.equal(over.body.errorCode, "QUOTA_EXCEEDED");
+  assert.ok(Number(over.headers["retry-after"]) > 0);
+
+  const inspected = await request(app).get(`/api/admin/keys/${apiKey.id}`).set("Authorization", "Bearer admin-secret");
+  assert.equal(inspected.body.apiKey.usage.daily, 2);
+  assert.deepEqual(inspected.body.apiKey.usage.byCarrier, { fedex: 2 });
+
+  // El frontend incluido recibe la cookie de sesión y consulta sin key
+  const page = await request(app).get("/frontend/index.html");
+  const cookie = page.headers["set-cookie"][0].split(";")[0];
+  assert.equal((await request(app).get("/api/carriers").set("Cookie", cookie).set("Sec-Fetch-Site", "same-origin")).status, 200);
+  assert.equal((await request(app).get("/api/carriers").set("Cookie", cookie).set("Origin", "https://otro.mx")).status, 401);
+  assert.equal((await request(app).get("/api/carriers").set("Cookie", cookie).set("Sec-Fetch-Site", "cross-site")).status, 401);
+
+  await request(app).delete(`/api/admin/keys/${apiKey.id}`).set("Authorization", "Bearer admin-secret");
+  assert.equal((await request(app).get("/api/carriers").set("X-API-Key", key)).status, 401);
+  await app.close();
+});
+
+test("sesión: la cookie sin señal del navegador no exime de la key y la sesión tiene cuota por IP", async () => {
+  const app = createApp({ ...config, requireApiKey: true, sessionDaily: 1 });
+  const cookie = (await request(app).get("/")).headers["set-cookie"][0].split(";")[0];
+  const query = { carrier: "fedex", code: "123456789012" };
+
+  // curl o un script con la cookie: sin Origin ni Sec-Fetch-*
+  const bare = await request(app).get("/api/track").set("Cookie", cookie).query(query);
+  assert.equal(bare.status, 401);
+  assert.equal((await request(app).get("/api/shipments").set("Cookie", cookie)).status, 401);
+
+  const browser = (req) => req.set("Cookie", cookie).set("Sec-Fetch-Site", "same-origin");
+  assert.equal((await browser(request(app).get("/api/track")).query(query)).status, 200);
+  const over = await browser(request(app).get("/api/track")).query(query);
+  assert.equal(over.status, 429);
+  assert.equal(over.body.errorCode, "QUOTA_EXCEEDED");
+  assert.ok(Number(over.headers["retry-after"]) > 0);
+
+  // Host de la solicitud como Origin (navegadores sin Sec-Fetch-Site)
+  const sameHost = await request(app).get("/api/carriers").set("Cookie", cookie).set("Host", "mct.local").set("Origin", "http://mct.local");
+  assert.equal(sameHost.status, 200);
+  await app.close();
+});
+
+test("API keys: envíos por key y webhooks solo con ADMIN_TOKEN", async () => {
+  const app = createApp({ ...config, dataDir: fs.mkdtempSync(path.join(dataDir, "owners-")), requireApiKey: true, adminToken: "admin-secret" });
+  const admin = "Bearer admin-secret";
+  const keyOf = async (name) => (await request(app).post("/api/admin/keys").set("Authorization", admin).send({ name })).body.key;
+  const [a, b] = [await keyOf("a"), await keyOf("b")];
+
+  const added = await request(app).post("/api/shipments").set("X-API-Key", a).send({ carrier: "fedex", code: "123456789012" });
+  assert.equal(added.status, 201);
+  const { id } = added.body.shipment;
+
+  // Otra key no ve ni toca los envíos de la primera, y puede vigilar la misma guía por su cuenta
+  assert.deepEqual((await request(app).get("/api/shipments").set("X-API-Key", b)).body.shipments, []);
+  assert.equal((await request(app).get(`/api/shipments/${id}`).set("X-API-Key", b)).status, 404);
+  assert.equal((await request(app).patch(`/api/shipments/${id}`).set("X-API-Key", b).send({ label: "mío" })).status, 404);
+  assert.equal((await request(app).post(`/api/shipments/${id}/refresh`).set("X-API-Key", b)).status, 404);
+  assert.equal((await request(app).delete(`/api/shipments/${id}`).set("X-API-Key", b)).status, 404);
+  assert.equal((await request(app).post("/api/shipments").set("X-API-Key", b).send({ carrier: "fedex", code: "123456789012" })).status, 201);
+  assert.equal((await request(app).get("/api/shipments").set("X-API-Key", a)).body.shipments.length, 1);
+  assert.equal((await request(app).get("/api/shipments").set("Authorization", admin)).body.shipments.length, 2);
+
+  // Webhooks y dead letters: cambios de todos los envíos, solo administración
+  assert.equal((await request(app).get("/api/webhooks").set("X-API-Key", a)).status, 401);
+  assert.equal((await request(app).post("/api/webhooks").set("X-API-Key", a).send({ url: "https://hooks.example.com/x" })).status, 401);
+  assert.equal((await request(app).post("/api/webhooks/dead-letters/replay").set("X-API-Key", a)).status, 401);
+  const hooks = await request(app).get("/api/webhooks").set("Authorization", admin);
+  assert.equal(hooks.status, 200);
+  assert.deepEqual(hooks.body.webhooks, []);
+  await app.close();
+});
+
+test("API keys: los envíos vigilados respetan las paqueterías y la cuota de su key", async () => {
+  let calls = 0;
+  const fedex = { carrier: "fedex", track: async () => (calls++, { status: "En tránsito", statusCode: "in_transit" }) };
+  const app = createApp({
+    ...config, dataDir: fs.mkdtempSync(path.join(dataDir, "watch-quota-")), apiProviders: { fedex }, requireApiKey: true, adminToken: "admin-secret"
+  });
+  const admin = "Bearer admin-secret";
+  const { key, apiKey } = (await request(app).post("/api/admin/keys").set("Authorization", admin).send({ daily: 2, carriers: ["fedex"] })).body;
+
+  const denied = await request(app).post("/api/shipments").set("X-API-Key", key).send({ carrier: "dhl", code: "3318810025" });
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.errorCode, "CARRIER_NOT_ALLOWED");
+  const { id } = (await request(app).post("/api/shipments").set("X-API-Key", key).send({ carrier: "fedex", code: "123456789012" })).body.shipment;
+
+  // El sondeo en segundo plano y el refresco manual se cobran a la key dueña del envío
+  await app.locals.watchlist.tick();
+  const refreshed = await request(app).post(`/api/shipments/${id}/refresh`).set("X-API-Key", key);
+  assert.equal(refreshed.status, 200);
+  const over = await request(app).post(`/api/shipments/${id}/refresh`).set("X-API-Key", key);
+  assert.equal(over.status, 429);
+  assert.equal(over.body.errorCode, "QUOTA_EXCEEDED");
+  assert.equal(calls, 2);
+  const { usage } = (await request(app).get(`/api/admin/keys/${apiKey.id}`).set("Authorization", admin)).body.apiKey;
+  assert.equal(usage.daily, 2);
+  assert.deepEqual(usage.byCarrier, { fedex: 2 });
+
+  // Key revocada: sus envíos dejan de consultarse
+  await request(app).delete(`/api/admin/keys/${apiKey.id}`).set("Authorization", admin);
+  const orphan = await request(app).post(`/api/shipments/${id}/refresh`).set("Authorization", admin);
+  assert.match(orphan.body.shipment.lastError, /revocada/);
+  assert.equal(calls, 2);
+  await app.close();
+});
+
+test("datos corruptos: shipments.json o api-keys.json ilegibles responden 500 sin tumbar el proceso", async () => {
+  const dir = fs.mkdtempSync(path.join(dataDir, "corrupt-"));
+  fs.writeFileSync(path.join(dir, "shipments.json"), "{ corrupto");
+  fs.writeFileSync(path.join(dir, "api-keys.json"), "{ corrupto");
+  const app = createApp({ ...config, dataDir: dir, adminToken: "admin-secret" });
+  const reads = [request(app).get("/api/admin/keys").set("Authorization", "Bearer admin-secret"),request(app).get("/api/shipments"), request(app).get("/api/shipments/x"), request(app).delete("/api/shipments/x"), request(app).get("/api/alerts")];
+  for (const req of reads) {
+    const res = await req;
+    assert.equal(res.status, 500);
+    assert.equal(res.body.error, "Error interno");
+  }
+  // Reparado el archivo, la siguiente lectura funciona
+  fs.writeFileSync(path.join(dir, "shipments.json"), JSON.stringify({ shipments: [] }));
+  assert.equal((await request(app).get("/api/shipments")).status, 200);
+  await app.close();
+});
+
+test("webhooks: POST /api/webhooks rechaza destinos internos", async () => {
+  const app = createApp({ ...config, dataDir: fs.mkdtempSync(path.join(dataDir, "hooks-")) });
+  const metadata = await request(app).post("/api/webhooks").send({ url: "http://169.254.169.254/latest/meta-data/" });
+  assert.equal(metadata.status, 400);
+  assert.match(metadata.body.error, /dirección interna/);
+  assert.equal((await request(app).post("/api/webhooks").send({ url: "http://127.0.0.1:8080/" })).status, 400);
+  assert.deepEqual((await request(app).get("/api/webhooks")).body.webhooks, []);
+  await app.close();
+});
+
+test("alertas: /api/track agrega alerts y /api/alerts lista los envíos vigilados con problemas", async () => {
+  const late = {
+    status: "Retenido en aduana", statusCode: "held_customs", etaIso: "2020-01-01T00:00:00-06:00",
+    events: [{ timestamp: "2020-01-01T00:00:00-06:00", description: "Retenido en aduana" }]
+  };
+  const app = createApp({ ...config, dataDir: fs.mkdtempSync(path.join(dataDir, "alerts-")), apiProviders: { ...apiProviders, dhl: { carrier: "dhl", track: async () => late } } });
+
+  const tracked = await request(app).get("/api/track").query({ carrier: "dhl", code: "3318810025" });
+  assert.deepEqual(tracked.body.alerts.map((a) => a.rule), ["keyword", "exception_status", "eta_passed", "no_scan"]);
+  assert.deepEqual((await request(app).get("/api/track").query({ carrier: "fedex", code: "123456789012" })).body.alerts, []);
+
+  const { body } = await request(app).post("/api/shipments").send({ carrier: "dhl", code: "3318810025", label: "Pedido 7" });
+  await request(app).post("/api/shipments").send({ carrier: "fedex", code: "123456789012" });
+  for (const s of (await request(app).get("/api/shipments")).body.shipments) await request(app).post(`/api/shipments/${s.id}/refresh`);
+
+  const flagged = await request(app).get("/api/alerts");
+  assert.equal(flagged.body.count, 1);
+  assert.equal(flagged.body.shipments[0].shipment.id, body.shipment.id);
+  assert.equal(flagged.body.shipments[0].shipment.label, "Pedido 7");
+  assert.equal(flagged.body.shipments[0].severity, "critical");
+  assert.deepEqual((await request(app).get("/api/alerts").query({ severity: "critical" })).body.shipments[0].alerts.map((a) => a.rule), ["keyword"]);
+  assert.equal((await request(app).get("/api/alerts").query({ carrier: "fedex" })).body.count, 0);
+  assert.equal((await request(app).get("/api/alerts").query({ severity: "urgente" })).status, 400);
+  await app.close();
+});
@@ -0,0 +1,167 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { createBrowserPool } from "../lib/browser-pool.js";
+
+// Navegador simulado: contextos y páginas con close() y los eventos que usa el pool
+function fakeChromium() {
+  const browsers = [];
+  const launch = async () => {
+    const browser = new EventEmitter();
+    browser.connected = true;
+    browser.contexts = [];
+    browser.closed = false;
+    browser.isConnected = () => browser.connected;
+    browser.close = async () => {
+      browser.closed = true;
+      browser.connected = false;
+    };
+    browser.newContext = async () => {
+      const context = { id: browser.contexts.length, closed: false, pages: 0 };
+      context.close = async () => void (context.closed = true);
+      context.newPage = async () => {
+        context.pages++;
+        const page = new EventEmitter();
+        page.context = context;
+        page.close = async () => {};
+        return page;
+      };
+      browser.contexts.push(context);
+      return context;
+    };
+    // Se cae el proceso de Chromium
+    browser.crash = () => {
+      browser.connected = false;
+      browser.emit("disconnected");
+    };
+    browsers.push(browser);
+    return browser;
+  };
+  return { launch, browsers };
+}
+
+const contextOf = (pool) => pool.withPage(async (page) => page.context);
+
+test("browser pool: un solo Chromium y el contexto se recicla tras maxUses", async () => {
+  const { launch, browsers } = fakeChromium();
+  const pool = createBrowserPool({ maxSize: 1, maxUses: 2, launch });
+  const used = [await contextOf(pool), await contextOf(pool), await contextOf(pool)];
+  assert.equal(browsers.length, 1);
+  assert.deepEqual(used.map((c) => c.id), [0, 0, 1]);
+  assert.equal(used[0].closed, true);
+  assert.equal(used[2].closed, false);
+  const stats = pool.stats();
+  assert.deepEqual([stats.launches, stats.created, stats.recycled, stats.size, stats.idle], [1, 2, 1, 1, 1]);
+  await pool.close();
+});
+
+test("browser pool: maxSize limita los contextos y el resto espera turno", async () => {
+  const { launch, browsers } = fakeChromium();
+  const pool = createBrowserPool({ maxSize: 1, launch });
+  let release;
+  const first = pool.withPage(() => new Promise((r) => (release = r)));
+  await new Promise((r) => setImmediate(r));
+  const second = contextOf(pool);
+  await new Promise((r) => setImmediate(r));
+  assert.equal(pool.stats().waiting, 1);
+  release("listo");
+  assert.equal(await first, "listo");
+  assert.equal((await second).id, 0);
+  assert.equal(browsers[0].contexts.length, 1);
+  await pool.close();
+});
+
+test("browser pool: página caída o navegador caído se reemplazan", async () => {
+  const { launch, browsers } = fakeChromium();
+  const pool = createBrowserPool({ maxSize: 1, launch });
+
+  // Error de Playwright con el target cerrado: el contexto se descarta
+  await assert.rejects(
+    pool.withPage(async () => {
+      throw new Error("page.goto: Target page, context or browser has been closed");
+    }),
+    /Target page/
+  );
+  assert.equal(browsers[0].contexts[0].closed, true);
+  // Evento "crash" de la página: igual
+  await pool.withPage(async (page) => page.emit("crash"));
+  assert.equal(browsers[0].contexts[1].closed, true);
+  assert.equal(pool.stats().crashes, 1);
+  // Un error normal de la consulta no descarta el contexto
+  await assert.rejects(pool.withPage(async () => { throw new Error("sin resultados"); }));
+  assert.equal(browsers[0].contexts[2].closed, false);
+
+  // Chromium se cae: la siguiente consulta lo relanza
+  browsers[0].crash();
+  assert.equal(pool.stats().size, 0);
+  assert.equal((await contextOf(pool)).id, 0);
+  assert.equal(browsers.length, 2);
+  assert.equal(pool.stats().launches, 2);
+  await pool.close();
+});
+
+test("browser pool: un lanzamiento fallido no queda cacheado", async () => {
+  const { launch, browsers } = fakeChromium();
+  let attempts = 0;
+  const flaky = async (options) => {
+    if (++attempts === 1) throw new Error("Executable doesn't exist");
+    return launch(options);
+  };
+  const pool = createBrowserPool({ maxSize: 1, launch: flaky });
+  await assert.rejects(contextOf(pool), /Executable/);
+  assert.equal(pool.stats().size, 0);
+  await contextOf(pool);
+  assert.equal(browsers.length, 1);
+  await pool.close();
+});
+
+test("browser pool: si falla crear el contexto, los que esperan reciben el cupo y no se quedan colgados", async () => {
+  const pool = createBrowserPool({ maxSize: 1, launch: async () => { throw new Error("Executable doesn't exist"); } });
+  const results = await Promise.allSettled([contextOf(pool), contextOf(pool), contextOf(pool)]);
+  assert.deepEqual(results.map((r) => r.status), ["rejected", "rejected", "rejected"]);
+  assert.deepEqual([pool.stats().waiting, pool.stats().size], [0, 0]);
+
+  // newContext que falla una vez: el siguiente en espera obtiene su contexto
+  const { launch } = fakeChromium();
+  let failed = false;
+  const flaky = createBrowserPool({
+    maxSize: 1,
+    launch: async (options) => {
+      const browser = await launch(options);
+      const newContext = browser.newContext;
+      browser.newContext = async () => {
+        if (!failed) {
+          failed = true;
+          throw new Error("Target page, context or browser has been closed");
+        }
+        return newContext();
+      };
+      return browser;
+    }
+  });
+  const [first, second] = await Promise.allSettled([contextOf(flaky), contextOf(flaky)]);
+  assert.equal(first.status, "rejected");
+  assert.equal(second.status, "fulfilled");
+  assert.equal(flaky.stats().waiting, 0);
+  await flaky.close();
+});
+
+test("browser pool: close() rechaza a los que esperan, cierra contextos y Chromium", async () => {
+  const { launch, browsers } = fakeChromium();
+  const pool = createBrowserPool({ maxSize: 1, launch });
+  let release;
+  const busy = pool.withPage(() => new Promise((r) => (release = r)));
+  await new Promise((r) => setImmediate(r));
+  const waiting = contextOf(pool);
+  await new Promise((r) => setImmediate(r));
+
+  const closing = pool.close();
+  await assert.rejects(waiting, /POOL_CLOSED/);
+  await closing;
+  assert.equal(browsers[0].closed, true);
+  // La consulta en curso termina y su contexto no vuelve al pool
+  release();
+  await busy;
+  assert.deepEqual([pool.stats().idle, pool.stats().size], [0, 0]);
+  await assert.rejects(contextOf(pool), /POOL_CLOSED/);
+});
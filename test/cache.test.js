@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createResultCache, createMemoryStore } from "../lib/cache.js";
+import { createLogger } from "../lib/log.js";
+
+const tick = () => new Promise((r) => setImmediate(r));
+
+// Reloj manual y una consulta que cuenta llamadas y devuelve { n }
+function setup({ ttl = 1000, stale = 500, ...options } = {}) {
+  const clock = { t: 1_000_000 };
+  let calls = 0;
+  const fn = async () => ({ n: ++calls });
+  const cache = createResultCache({ ttlFor: () => ttl, staleFor: () => stale, now: () => clock.t, ...options });
+  return { cache, clock, fn, calls: () => calls };
+}
+
+test("caché: miss, hit dentro del TTL, stale con revalidación y miss al vencer la ventana", async () => {
+  const { cache, clock, fn, calls } = setup();
+  let r = await cache.wrap("fedex:1", fn);
+  assert.deepEqual([r.cache, r.value.n, r.cachedAt], ["miss", 1, 1_000_000]);
+
+  clock.t += 999;
+  r = await cache.wrap("fedex:1", fn);
+  assert.deepEqual([r.cache, r.value.n], ["hit", 1]);
+
+  // Vencido pero dentro de staleFor: responde el dato viejo y refresca en segundo plano
+  clock.t += 1;
+  r = await cache.wrap("fedex:1", fn);
+  assert.deepEqual([r.cache, r.value.n], ["stale", 1]);
+  await tick();
+  assert.equal(calls(), 2);
+  r = await cache.wrap("fedex:1", fn);
+  assert.deepEqual([r.cache, r.value.n, r.cachedAt], ["hit", 2, 1_001_000]);
+
+  // Pasado TTL + stale: se espera la consulta
+  clock.t += 1500;
+  r = await cache.wrap("fedex:1", fn);
+  assert.deepEqual([r.cache, r.value.n], ["miss", 3]);
+  assert.deepEqual(
+    (({ hits, stale, misses, revalidations }) => ({ hits, stale, misses, revalidations }))(cache.stats()),
+    { hits: 2, stale: 1, misses: 2, revalidations: 1 }
+  );
+});
+
+test("caché: solicitudes concurrentes de la misma clave comparten una consulta", async () => {
+  const { cache, fn, calls } = setup();
+  const results = await Promise.all([cache.wrap("k", fn), cache.wrap("k", fn), cache.wrap("k", fn), cache.wrap("otra", fn)]);
+  assert.equal(calls(), 2);
+  assert.deepEqual(results.slice(0, 3).map((r) => r.value.n), [1, 1, 1]);
+  assert.equal(cache.stats().coalesced, 2);
+  assert.equal(cache.stats().inflight, 0);
+});
+
+test("caché: fresh consulta aunque haya dato vigente y lo reemplaza", async () => {
+  const { cache, fn, calls } = setup();
+  await cache.wrap("k", fn);
+  const bypass = await cache.wrap("k", fn, { fresh: true });
+  assert.deepEqual([bypass.cache, bypass.value.n], ["bypass", 2]);
+  assert.equal((await cache.wrap("k", fn)).value.n, 2);
+  assert.equal(calls(), 2);
+  assert.equal(cache.stats().bypass, 1);
+});
+
+test("caché: TTL según el valor y la paquetería; errores sin cachear", async () => {
+  const clock = { t: 0 };
+  const seen = [];
+  const cache = createResultCache({
+    ttlFor: (value, meta) => (seen.push(meta), value.delivered ? 10_000 : 100),
+    now: () => clock.t
+  });
+  await cache.wrap("a", async () => ({ delivered: true }), { carrier: "ups" });
+  await cache.wrap("b", async () => ({ delivered: false }), { carrier: "dhl" });
+  assert.deepEqual(seen, [{ carrier: "ups" }, { carrier: "dhl" }]);
+  clock.t = 500;
+  assert.equal((await cache.wrap("a", async () => ({}))).cache, "hit");
+  // Sin staleFor: vencido es miss
+  assert.equal((await cache.wrap("b", async () => ({}))).cache, "miss");
+
+  await assert.rejects(cache.wrap("c", async () => { throw new Error("timeout"); }), /timeout/);
+  assert.equal(await cache.peek("c"), null);
+  assert.equal((await cache.wrap("c", async () => ({ ok: 1 }))).cache, "miss");
+});
+
+test("caché: si la revalidación falla se conserva el dato viejo y queda en el log", async () => {
+  const lines = [];
+  const log = createLogger({ write: (l) => lines.push(JSON.parse(l)) });
+  const { cache, clock } = setup({ log });
+  await cache.wrap("k", async () => ({ n: 1 }));
+  clock.t += 1200;
+  const r = await cache.wrap("k", async () => { throw new Error("bloqueado"); });
+  assert.equal(r.cache, "stale");
+  await tick();
+  assert.deepEqual(lines.map(({ level, msg, key }) => ({ level, msg, key })), [{ level: "warn", msg: "revalidate error", key: "k" }]);
+  assert.deepEqual((await cache.peek("k")).value, { n: 1 });
+});
+
+test("caché: el store en memoria descarta el menos usado al llegar al tope", async () => {
+  const store = createMemoryStore({ maxEntries: 2 });
+  await store.set("a", 1);
+  await store.set("b", 2);
+  await store.get("a");
+  await store.set("c", 3);
+  assert.equal(await store.get("b"), undefined);
+  assert.equal(await store.get("a"), 1);
+  assert.deepEqual(store.stats(), { entries: 2, maxEntries: 2 });
+});
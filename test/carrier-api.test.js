@@ -0,0 +1,167 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { getCarrier, listCarriers } from "../carriers/index.js";
+import { createApiProvider, createApiProviders } from "../lib/carrier-api.js";
+
+// Servidor local que imita las APIs de FedEx, UPS y DHL
+const calls = [];
+let revokeNext = false;
+let server;
+let env;
+
+const FEDEX = {
+  output: {
+    completeTrackResults: [
+      {
+        trackResults: [
+          {
+            latestStatusDetail: { code: "DL", description: "Delivered", statusByLocale: "Entregado" },
+            dateAndTimes: [{ type: "ACTUAL_DELIVERY", dateTime: "2025-08-27T13:45:00-06:00" }],
+            deliveryDetails: { receivedByName: "J.PEREZ" },
+            originLocation: { locationContactAndAddress: { address: { city: "MEMPHIS", stateOrProvinceCode: "TN", countryCode: "US" } } },
+            destinationLocation: { locationContactAndAddress: { address: { city: "MONTERREY", stateOrProvinceCode: "NL", countryCode: "MX" } } },
+            scanEvents: [
+              { date: "2025-08-27T13:45:00-06:00", derivedStatusCode: "DL", eventDescription: "Entregado", scanLocation: { city: "MONTERREY", stateOrProvinceCode: "NL", countryCode: "MX" } },
+              { date: "2025-08-25T20:10:00-05:00", derivedStatusCode: "PU", eventDescription: "Recolectado", scanLocation: { city: "MEMPHIS", stateOrProvinceCode: "TN", countryCode: "US" } }
+            ]
+          }
+        ]
+      }
+    ]
+  }
+};
+
+const UPS = {
+  trackResponse: {
+    shipment: [
+      {
+        package: [
+          {
+            currentStatus: { description: "Out For Delivery Today", type: "O" },
+            deliveryDate: [{ type: "SDD", date: "20250828" }],
+            deliveryTime: { type: "EOD", startTime: "120000", endTime: "160000" },
+            packageAddress: [
+              { type: "ORIGIN", address: { city: "LOUISVILLE", stateProvince: "KY", countryCode: "US" } },
+              { type: "DESTINATION", address: { city: "GUADALAJARA", stateProvince: "JA", countryCode: "MX" } }
+            ],
+            activity: [
+              { date: "20250828", time: "071500", status: { type: "O", description: "Out For Delivery Today" }, location: { address: { city: "GUADALAJARA", countryCode: "MX" } } }
+            ]
+          }
+        ]
+      }
+    ]
+  }
+};
+
+const DHL = {
+  shipments: [
+    {
+      status: { timestamp: "2025-08-26T10:15:00", statusCode: "transit", status: "En tránsito", location: { address: { addressLocality: "MEXICO CITY HUB" } } },
+      estimatedTimeOfDelivery: "2025-08-29",
+      origin: { address: { addressLocality: "CINCINNATI" } },
+      destination: { address: { addressLocality: "QUERETARO" } },
+      events: [{ timestamp: "2025-08-26T10:15:00", statusCode: "transit", description: "Procesado en MEXICO CITY HUB", location: { address: { addressLocality: "MEXICO CITY HUB" } } }]
+    }
+  ]
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      calls.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const send = (status, json) => {
+        res.writeHead(status, { "content-type": "application/json" });
+        res.end(JSON.stringify(json));
+      };
+      const bearer = req.headers.authorization === "Bearer tok-1" || req.headers.authorization === "Bearer tok-2";
+      const tokens = calls.filter((c) => /oauth\/token/.test(c.url)).length;
+
+      if (/oauth\/token$/.test(req.url)) return send(200, { access_token: `tok-${tokens}`, expires_in: 3600 });
+      if (revokeNext && bearer) {
+        revokeNext = false;
+        return send(401, { error: "expired" });
+      }
+      if (req.url === "/track/v1/trackingnumbers") return bearer ? send(200, FEDEX) : send(401, {});
+      if (req.url.startsWith("/api/track/v1/details/")) return bearer ? send(200, UPS) : send(401, {});
+      if (req.url.startsWith("/track/shipments")) return req.headers["dhl-api-key"] === "k" ? send(200, DHL) : send(401, {});
+      send(404, {});
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  env = {
+    FEDEX_API_KEY: "id", FEDEX_API_SECRET: "secret", FEDEX_API_URL: base,
+    UPS_CLIENT_ID: "id", UPS_CLIENT_SECRET: "secret", UPS_API_URL: base,
+    DHL_API_KEY: "k", DHL_API_URL: base
+  };
+});
+
+after(() => server.close());
+
+test("sin credenciales no hay proveedor", () => {
+  assert.equal(createApiProvider(getCarrier("fedex"), { env: {} }), null);
+  assert.equal(createApiProvider(getCarrier("estafeta"), { env }), null);
+  assert.deepEqual(Object.keys(createApiProviders(listCarriers(), { env: { DHL_API_KEY: "k" } })), ["dhl"]);
+});
+
+test("FedEx: token OAuth cacheado y respuesta con la forma de /api/track", async () => {
+  calls.length = 0;
+  const fedex = createApiProvider(getCarrier("fedex"), { env });
+  const first = await fedex.track("123456789012");
+  await fedex.track("123456789012");
+  assert.equal(calls.filter((c) => /oauth/.test(c.url)).length, 1);
+  assert.match(calls[0].body, /grant_type=client_credentials/);
+
+  assert.equal(first.status, "Entregado");
+  assert.equal(first.statusCode, "delivered");
+  assert.equal(first.deliveredAtIso, "2025-08-27T13:45:00-06:00");
+  assert.equal(first.signedBy, "J.PEREZ");
+  assert.equal(first.origin, "MEMPHIS, TN, US");
+  assert.equal(first.destination, "MONTERREY, NL, MX");
+  assert.deepEqual(
+    first.events.map((e) => [e.description, e.statusCode]),
+    [["Recolectado", "in_transit"], ["Entregado", "delivered"]]
+  );
+});
+
+test("FedEx: un 401 renueva el token una vez", async () => {
+  calls.length = 0;
+  const fedex = createApiProvider(getCarrier("fedex"), { env });
+  await fedex.track("123456789012");
+  revokeNext = true;
+  const r = await fedex.track("123456789012");
+  assert.equal(r.statusCode, "delivered");
+  assert.equal(calls.filter((c) => /oauth/.test(c.url)).length, 2);
+});
+
+test("UPS: Basic en el token, ETA con ventana horaria", async () => {
+  calls.length = 0;
+  const ups = createApiProvider(getCarrier("ups"), { env });
+  const r = await ups.track("1Z999AA10123456784");
+  assert.equal(calls[0].headers.authorization, "Basic " + Buffer.from("id:secret").toString("base64"));
+  assert.equal(r.statusCode, "out_for_delivery");
+  assert.equal(r.etaIso, "2025-08-28T00:00:00-06:00");
+  assert.deepEqual(r.etaWindow, { start: "2025-08-28T12:00:00-06:00", end: "2025-08-28T16:00:00-06:00" });
+  assert.equal(r.destination, "GUADALAJARA, JA, MX");
+  assert.equal(r.events[0].timestamp, "2025-08-28T07:15:00-06:00");
+});
+
+test("DHL: API key sin OAuth, fechas sin desfase en la zona local", async () => {
+  calls.length = 0;
+  const dhl = createApiProvider(getCarrier("dhl"), { env });
+  const r = await dhl.track("3318810025");
+  assert.equal(calls.length, 1);
+  assert.equal(r.statusCode, "in_transit");
+  assert.equal(r.etaIso, "2025-08-29T00:00:00-06:00");
+  assert.equal(r.events[0].timestamp, "2025-08-26T10:15:00-06:00");
+  assert.equal(r.origin, "CINCINNATI");
+});
+
+test("errores HTTP se propagan (el servidor cae a scraping)", async () => {
+  const dhl = createApiProvider(getCarrier("dhl"), { env: { ...env, DHL_API_KEY: "otra" } });
+  await assert.rejects(() => dhl.track("3318810025"), /HTTP 401/);
+});
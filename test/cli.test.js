@@ -0,0 +1,96 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs";
+import { run, EXIT } from "../bin/mct.js";
+import { trackError } from "../lib/errors.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mct-cli-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// FedEx entregado, DHL no encontrada y UPS con timeout: sin red ni navegador
+const apiProviders = {
+  fedex: { carrier: "fedex", track: async () => ({ status: "Entregado", statusCode: "delivered", signedBy: "J.PEREZ" }) },
+  dhl: { carrier: "dhl", track: async () => { throw trackError("NOT_FOUND"); } },
+  ups: { carrier: "ups", track: async () => { throw trackError("TIMEOUT"); } }
+};
+
+async function mct(...argv) {
+  let out = "";
+  let err = "";
+  const io = {
+    stdout: { write: (s) => (out += s) },
+    stderr: { write: (s) => (err += s) },
+    pause: async () => false,
+    config: { env: {}, dataDir: dir, apiProviders, logLevel: "silent" }
+  };
+  const code = await run(argv, io);
+  return { code, out, err };
+}
+
+test("mct track: JSON de /api/track y código de salida según el resultado", async () => {
+  const found = await mct("track", "fedex", "123456789012");
+  assert.equal(found.code, EXIT.OK);
+  assert.equal(JSON.parse(found.out).signedBy, "J.PEREZ");
+
+  assert.equal((await mct("track", "dhl", "3318810025")).code, EXIT.NOT_FOUND);
+  assert.equal((await mct("track", "pigeon", "ABC12345")).code, EXIT.NOT_FOUND);
+  assert.equal((await mct("track", "1Z999AA10123456784")).code, EXIT.ERROR);
+
+  // Solo enlace: detecta la paquetería y no consulta la API
+  const link = await mct("track", "auto", "1Z999AA10123456784", "--link-only");
+  assert.equal(link.code, EXIT.OK);
+  assert.equal(JSON.parse(link.out).errorCode, "SCRAPE_DISABLED");
+  assert.match(JSON.parse(link.out).officialUrl, /ups\.com/);
+
+  assert.equal((await mct("track")).code, EXIT.USAGE);
+  assert.equal((await mct("rastrear", "123")).code, EXIT.USAGE);
+  assert.equal((await mct("track", "123456789012", "--nope")).code, EXIT.USAGE);
+});
+
+test("mct batch: CSV a CSV en el orden de entrada, JSON de entrada y resumen en stderr", async () => {
+  const input = path.join(dir, "guias.csv");
+  fs.writeFileSync(input, "paqueteria,guia\nfedex,123456789012\ndhl,3318810025\nfedex,\"987654321098\"\n");
+  const out = path.join(dir, "resultados.csv");
+  const res = await mct("batch", input, "--out", out, "--concurrency", "2");
+  assert.equal(res.code, EXIT.NOT_FOUND);
+  assert.equal(res.out, "");
+  assert.match(res.err, /3 guías: 2 encontradas, 1 no encontradas, 0 con error/);
+
+  const lines = fs.readFileSync(out, "utf8").trim().split("\n");
+  assert.equal(lines[0], "carrier,code,ok,status,statusCode,eta,deliveredAt,signedBy,origin,destination,source,errorCode,error,alerts,officialUrl");
+  assert.deepEqual(lines.slice(1).map((l) => l.split(",").slice(0, 3)), [
+    ["fedex", "123456789012", "true"],
+    ["dhl", "3318810025", "false"],
+    ["fedex", "987654321098", "true"]
+  ]);
+
+  const json = path.join(dir, "guias.json");
+  fs.writeFileSync(json, JSON.stringify({ items: [{ carrier: "fedex", code: "123456789012" }, { code: "1Z999AA10123456784" }] }));
+  const mixed = await mct("batch", json, "--format", "ndjson");
+  assert.equal(mixed.code, EXIT.ERROR);
+  assert.deepEqual(mixed.out.trim().split("\n").map((l) => JSON.parse(l).errorCode ?? null), [null, "TIMEOUT"]);
+
+  assert.equal((await mct("batch", json, "--concurrency", "0")).code, EXIT.USAGE);
+  assert.equal((await mct("batch", json, "--format", "xml")).code, EXIT.USAGE);
+});
+
+test("mct watch: una línea por cambio hasta que la guía llega a un estatus final", async () => {
+  const states = [
+    { status: "En tránsito", statusCode: "in_transit" },
+    { status: "En tránsito", statusCode: "in_transit" },
+    { status: "Entregado", statusCode: "delivered" }
+  ];
+  let pauses = 0;
+  let out = "";
+  const code = await run(["watch", "fedex", "123456789012", "--interval", "1"], {
+    stdout: { write: (s) => (out += s) },
+    stderr: { write: () => {} },
+    pause: async () => ++pauses < 10,
+    config: { env: {}, dataDir: dir, logLevel: "silent", apiProviders: { fedex: { carrier: "fedex", track: async () => states.shift() } } }
+  });
+  assert.equal(code, EXIT.OK);
+  assert.equal(pauses, 2);
+  assert.deepEqual(out.trim().split("\n").map((l) => JSON.parse(l).statusCode), ["in_transit", "delivered"]);
+});
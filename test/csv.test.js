@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, toCsv } from "../lib/csv.js";
+
+test("csv: encabezados con alias, separadores y columnas en cualquier orden", () => {
+  assert.deepEqual(parseCsv("paqueteria,guia\nfedex,123456789012\nups,1Z999AA10123456784\n"), [
+    { carrier: "fedex", code: "123456789012" },
+    { carrier: "ups", code: "1Z999AA10123456784" }
+  ]);
+  assert.deepEqual(parseCsv("Guía;Paquetería;Nota\r\n3318810025;DHL;urgente\r\n"), [{ carrier: "DHL", code: "3318810025" }]);
+  assert.deepEqual(parseCsv("tracking\tcarrier\n1Z999AA10123456784\tups"), [{ carrier: "ups", code: "1Z999AA10123456784" }]);
+  assert.deepEqual(parseCsv("awb\n00612345675"), [{ carrier: undefined, code: "00612345675" }]);
+});
+
+test("csv: sin encabezado, BOM, líneas vacías y carrier vacío", () => {
+  assert.deepEqual(parseCsv("\uFEFFfedex,123456789012\n\n  \n,3318810025\n"), [
+    { carrier: "fedex", code: "123456789012" },
+    { carrier: undefined, code: "3318810025" }
+  ]);
+  // Una sola columna: solo guías
+  assert.deepEqual(parseCsv("123456789012\n3318810025"), [
+    { carrier: undefined, code: "123456789012" },
+    { carrier: undefined, code: "3318810025" }
+  ]);
+  // Filas sin guía se descartan
+  assert.deepEqual(parseCsv("carrier,code\nfedex,\nups,1Z999AA10123456784"), [{ carrier: "ups", code: "1Z999AA10123456784" }]);
+  assert.deepEqual(parseCsv(""), []);
+  assert.deepEqual(parseCsv(undefined), []);
+});
+
+test("csv: comillas con separadores y comillas escapadas", () => {
+  assert.deepEqual(parseCsv('carrier,code,label\n"fedex","1234 5678 9012","Pedido, ""urgente"""'), [
+    { carrier: "fedex", code: "1234 5678 9012" }
+  ]);
+  assert.deepEqual(parseCsv('paqueteria;guia\n"dhl";"33188;10025"'), [{ carrier: "dhl", code: "33188;10025" }]);
+});
+
+test("csv: toCsv escribe lo que parseCsv vuelve a leer", () => {
+  const text = toCsv(
+    [{ carrier: "fedex", code: "123456789012", error: 'Dijo "no", pues' }, { carrier: "ups", code: "1Z999AA10123456784", error: null }],
+    ["carrier", "code", "error"]
+  );
+  assert.equal(text, 'carrier,code,error\nfedex,123456789012,"Dijo ""no"", pues"\nups,1Z999AA10123456784,\n');
+  assert.deepEqual(parseCsv(text).map((r) => r.code), ["123456789012", "1Z999AA10123456784"]);
+});
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDate, parseCarrierDate, dateOptions, zoneForLocation } from "../lib/dates.js";
+import { parseEvents } from "../lib/events.js";
+
+// Lunes 25/08/2025 10:00 en Ciudad de México
+const now = new Date("2025-08-25T16:00:00Z");
+const tz = "America/Mexico_City";
+
+test("parseDate: día/mes con año de 2 dígitos y hora", () => {
+  assert.deepEqual(parseDate("El 27/08/25 a las 14:03", { tz, now }), {
+    iso: "2025-08-27T14:03:00-06:00",
+    window: null
+  });
+});
+
+test("parseDate: dayFirst decide fechas ambiguas", () => {
+  assert.equal(parseDate("03/09/2024 10:00", { dayFirst: true, tz, now }).iso, "2024-09-03T10:00:00-06:00");
+  assert.equal(parseDate("03/09/2024 10:00", { dayFirst: false, tz, now }).iso, "2024-03-09T10:00:00-06:00");
+  // Sin ambigüedad (día > 12) da igual el orden configurado
+  assert.equal(parseDate("27/08/2025", { dayFirst: false, tz, now }).iso, "2025-08-27T00:00:00-06:00");
+});
+
+test("parseDate: mes con nombre, sin año", () => {
+  const r = parseDate("mar, 3 sept", { tz, now });
+  assert.equal(r.iso, "2025-09-03T00:00:00-06:00");
+  assert.deepEqual(r.window, { start: "2025-09-03T00:00:00-06:00", end: "2025-09-03T23:59:00-06:00" });
+  assert.equal(parseDate("martes, agosto 26, 2025 10:15", { tz, now }).iso, "2025-08-26T10:15:00-06:00");
+  assert.equal(parseDate("26AUG25 14:03", { tz, now }).iso, "2025-08-26T14:03:00-06:00");
+});
+
+test("parseDate: ventanas de entrega", () => {
+  assert.deepEqual(parseDate("Tuesday, 09/03/2024 by end of day", { dayFirst: false, tz, now }).window, {
+    start: null,
+    end: "2024-09-03T23:59:00-06:00"
+  });
+  assert.deepEqual(parseDate("08/27/2025 between 9:00 AM and 1:00 PM", { dayFirst: false, tz, now }).window, {
+    start: "2025-08-27T09:00:00-06:00",
+    end: "2025-08-27T13:00:00-06:00"
+  });
+  assert.deepEqual(parseDate("hoy antes de las 6:00 p. m.", { tz, now }).window, {
+    start: null,
+    end: "2025-08-25T18:00:00-06:00"
+  });
+});
+
+test("parseDate: palabras relativas", () => {
+  assert.equal(parseDate("Hoy", { tz, now }).iso, "2025-08-25T00:00:00-06:00");
+  assert.equal(parseDate("Mañana entre 9:00 y 13:00", { tz, now }).window.start, "2025-08-26T09:00:00-06:00");
+  assert.equal(parseDate("pasado mañana", { tz, now }).iso, "2025-08-27T00:00:00-06:00");
+  assert.equal(parseDate("tomorrow", { tz, now }).iso, "2025-08-26T00:00:00-06:00");
+  assert.equal(parseDate("jueves", { tz, now }).iso, "2025-08-28T00:00:00-06:00");
+  // "por la mañana" es una franja del día, no "mañana"
+  assert.equal(parseDate("por la mañana", { tz, now }), null);
+});
+
+test("parseDate: hoy, mañana, día de la semana y año se resuelven en la zona tz, no en la del proceso", () => {
+  // 26/08/2025 03:00 UTC: todavía lunes 25 en Ciudad de México, ya martes 26 en Tokio
+  const at = new Date("2025-08-26T03:00:00Z");
+  assert.equal(parseDate("hoy", { tz, now: at }).iso, "2025-08-25T00:00:00-06:00");
+  assert.equal(parseDate("hoy", { tz: "Asia/Tokyo", now: at }).iso, "2025-08-26T00:00:00+09:00");
+  assert.equal(parseDate("mañana", { tz: "Asia/Tokyo", now: at }).iso, "2025-08-27T00:00:00+09:00");
+  assert.equal(parseDate("jueves", { tz, now: at }).iso, "2025-08-28T00:00:00-06:00");
+  assert.equal(parseDate("martes", { tz: "Asia/Tokyo", now: at }).iso, "2025-08-26T00:00:00+09:00");
+  // 1/01/2026 02:00 UTC: aún 31/12/2025 en Ciudad de México, así que "31 dic" es de 2025
+  const newYear = new Date("2026-01-01T02:00:00Z");
+  assert.equal(parseDate("31 dic 10:00", { tz, now: newYear }).iso, "2025-12-31T10:00:00-06:00");
+  assert.equal(parseDate("31 dic 10:00", { tz: "Asia/Tokyo", now: newYear }).iso, "2025-12-31T10:00:00+09:00");
+});
+
+test("zoneForLocation: estado de EE. UU., estado de México fuera del centro o país", () => {
+  assert.equal(zoneForLocation("Laredo, TX"), "America/Chicago");
+  assert.equal(zoneForLocation("LOUISVILLE, KY - USA"), "America/New_York");
+  assert.equal(zoneForLocation("TIJUANA, BC"), "America/Tijuana");
+  assert.equal(zoneForLocation("CANCUN, QROO"), "America/Cancun");
+  assert.equal(zoneForLocation("SHANGHAI, CN"), "Asia/Shanghai");
+  // Sin estado, con código de aeropuerto o en el centro de México: la zona de la paquetería
+  assert.equal(zoneForLocation("ATLANTA, US"), null);
+  assert.equal(zoneForLocation("CINCINNATI HUB - USA"), null);
+  assert.equal(zoneForLocation("ATL"), null);
+  assert.equal(zoneForLocation("MONTERREY, NL"), null);
+  assert.equal(zoneForLocation(null), null);
+});
+
+test("zoneForLocation: el país después del estado decide entre estado y país", () => {
+  // DE: Delaware con "- USA"; solo, también es Alemania y no se adivina
+  assert.equal(zoneForLocation("WILMINGTON, DE - USA"), "America/New_York");
+  assert.equal(zoneForLocation("WILMINGTON, DE, US"), "America/New_York");
+  assert.equal(zoneForLocation("WILMINGTON, DE"), null);
+  assert.equal(zoneForLocation("TORONTO, CA"), null);
+  assert.equal(zoneForLocation("Toronto, ON, Canada"), null);
+  assert.equal(zoneForLocation("LOS ANGELES, CA - USA"), "America/Los_Angeles");
+  assert.equal(zoneForLocation("SALTILLO, CO"), null);
+  assert.equal(zoneForLocation("TIJUANA, BC - MEXICO"), "America/Tijuana");
+  assert.equal(zoneForLocation("SHANGHAI, SH, CN"), "Asia/Shanghai");
+});
+
+test("parseEvents: cada escaneo con el desfase de su lugar", () => {
+  const text = ["Shipment Progress", "08/26/2025", "7:10 A.M.", "Laredo, TX", "Departed from Facility",
+    "08/27/2025", "8:30 A.M.", "Monterrey, MX", "Out For Delivery Today"].join("\n");
+  const events = parseEvents(text, { carrier: "ups", start: /Shipment Progress/, now });
+  assert.deepEqual(events.map((e) => e.timestamp), ["2025-08-26T07:10:00-05:00", "2025-08-27T08:30:00-06:00"]);
+});
+
+test("parseDate: texto sin fecha", () => {
+  assert.equal(parseDate("", { tz, now }), null);
+  assert.equal(parseDate(null, { tz, now }), null);
+  assert.equal(parseDate("Pendiente", { tz, now }), null);
+});
+
+test("dateOptions: UPS/FedEx según idioma, Delta mes primero", () => {
+  assert.equal(dateOptions("ups", "Tuesday, 09/03/2024 by end of day").dayFirst, false);
+  assert.equal(dateOptions("ups", "Entregado el 03/09/2024").dayFirst, true);
+  assert.equal(dateOptions("delta-cargo", "03/09/2024").dayFirst, false);
+  assert.equal(dateOptions("dhl", "03/09/2024").dayFirst, true);
+  assert.equal(parseCarrierDate("ups", "Tuesday, 09/03/2024 by end of day", { now }).iso.slice(0, 10), "2024-09-03");
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fedex12, mod10, ups1Z, mod7 } from "../lib/check-digits.js";
+import { detectCarrier, bestCarrier, normalizeCode, MIN_CONFIDENCE } from "../lib/detect.js";
+
+const top = (code) => detectCarrier(code).map((c) => [c.carrier, c.confidence]);
+
+test("dígitos verificadores: números válidos y con un dígito cambiado", () => {
+  assert.equal(ups1Z("1Z999AA10123456784"), true);
+  assert.equal(ups1Z("1Z999AA10123456785"), false);
+  assert.equal(ups1Z("1Z12345E0205271688"), false);
+
+  assert.equal(fedex12("123456789012"), true);
+  assert.equal(fedex12("123456789013"), false);
+  // Residuo 10 -> verificador 0
+  assert.equal(fedex12("100000000070"), true);
+
+  assert.equal(mod10("449044304137821"), true);
+  assert.equal(mod10("449044304137822"), false);
+  assert.equal(mod10("92" + "12345678901234567891"), true);
+
+  assert.equal(mod7("3318810025"), true);
+  assert.equal(mod7("3318810026"), false);
+  assert.equal(mod7("12345675"), true);
+});
+
+test("detección: una paquetería por formato y verificador", () => {
+  assert.deepEqual(top("1Z999AA10123456784"), [["ups", 0.99]]);
+  assert.equal(bestCarrier("1Z999AA10123456784").reason, "UPS 1Z");
+  assert.equal(bestCarrier("449044304137821").carrier, "fedex");
+  assert.equal(bestCarrier("12345678901234567891").reason, "FedEx SmartPost (20 dígitos)");
+  assert.equal(bestCarrier("00612345675").carrier, "delta");
+  assert.equal(bestCarrier("ABC123456789").carrier, "paquetexpress");
+  assert.equal(bestCarrier("123456789").carrier, "redpack");
+  assert.equal(bestCarrier("A1B2C3D4E5F6G7H8I9J0KL").carrier, "estafeta");
+
+  // Espacios, guiones y minúsculas no cuentan
+  assert.equal(normalizeCode(" 1z999aa1-0123 456784 "), "1Z999AA10123456784");
+  assert.equal(bestCarrier("1234 5678 9012").carrier, "fedex");
+  assert.deepEqual(detectCarrier("6129098091987030"), []);
+  assert.equal(bestCarrier(""), null);
+});
+
+test("detección: formatos ambiguos y corte por MIN_CONFIDENCE", () => {
+  // 10 dígitos: DHL, Estafeta o 99minutos; el verificador de DHL decide
+  assert.deepEqual(top("3318810025"), [["dhl", 0.8], ["estafeta", 0.3], ["99minutos", 0.25]]);
+  assert.equal(bestCarrier("3318810025").carrier, "dhl");
+  assert.deepEqual(top("3318810026"), [["estafeta", 0.3], ["99minutos", 0.25], ["dhl", 0.2]]);
+  assert.equal(bestCarrier("3318810026"), null);
+
+  // 12 dígitos: FedEx solo si cuadra el verificador
+  assert.deepEqual(top("123456789012"), [["fedex", 0.8], ["99minutos", 0.25]]);
+  assert.equal(bestCarrier("123456789013"), null);
+
+  // Verificador inválido: el candidato aparece pero por debajo del mínimo
+  for (const code of ["1Z12345E0205271688", "00612345670", "12345678901234567890", "1234567890123"]) {
+    const [first] = detectCarrier(code);
+    assert.ok(first.confidence < MIN_CONFIDENCE, code);
+    assert.equal(bestCarrier(code), null, code);
+  }
+  // Redpack (0.55) queda justo por encima del corte
+  assert.ok(detectCarrier("123456789")[0].confidence >= MIN_CONFIDENCE);
+});
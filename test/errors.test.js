@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getCarrier } from "../carriers/index.js";
+import { classify } from "../lib/scrape.js";
+import { toTrackError, errorBody } from "../lib/errors.js";
+
+const now = new Date("2025-08-27T20:00:00Z");
+const codeOf = (fn) => {
+  try {
+    fn();
+  } catch (e) {
+    return e.code;
+  }
+  return null;
+};
+
+test("classify: página sin resultados -> NOT_FOUND", () => {
+  const text = "DHL\nRastreo\nLo sentimos, su intento de rastreo no tuvo éxito.\nEstado";
+  assert.equal(codeOf(() => classify(getCarrier("dhl"), text, { now })), "NOT_FOUND");
+});
+
+test("classify: captcha sin datos -> BLOCKED; con datos se respeta el resultado", () => {
+  const captcha = "FedEx\nPlease verify you are a human\nreCAPTCHA";
+  assert.equal(codeOf(() => classify(getCarrier("fedex"), captcha, { now })), "BLOCKED");
+
+  // Texto de scripts con "recaptcha" no debe tapar una página con datos
+  const ok = "Estado de la entrega\nEn camino\nrecaptcha";
+  assert.equal(classify(getCarrier("fedex"), ok, { now }).statusCode, "in_transit");
+});
+
+test("classify: página sin datos reconocibles -> PARSE_FAILED con datos parciales", () => {
+  let err;
+  try {
+    classify(getCarrier("expeditors"), "Expeditors\nPort of Loading: SHANGHAI, CN", { now, meta: { referenceType: "booking" } });
+  } catch (e) {
+    err = e;
+  }
+  assert.equal(err.code, "PARSE_FAILED");
+  assert.equal(err.retryable, true);
+  const body = errorBody(err);
+  assert.equal(body.ok, false);
+  assert.equal(body.origin, "SHANGHAI, CN");
+  assert.equal(body.referenceType, "booking");
+});
+
+test("toTrackError: timeouts, HTTP y errores desconocidos", () => {
+  const pw = new Error("page.goto: Timeout 45000ms exceeded.");
+  pw.name = "TimeoutError";
+  assert.equal(toTrackError(pw).code, "TIMEOUT");
+  assert.equal(toTrackError(Object.assign(new Error("HTTP 429"), { status: 429 })).code, "BLOCKED");
+  assert.equal(toTrackError(Object.assign(new Error("HTTP 404"), { status: 404 })).code, "NOT_FOUND");
+  const other = toTrackError(new Error("boom"));
+  assert.equal(other.code, "PARSE_FAILED");
+  assert.match(other.message, /boom/);
+});
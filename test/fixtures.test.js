@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getCarrier, listCarriers } from "../carriers/index.js";
+import { extract, explain } from "../lib/scrape.js";
+import { loadFixtures } from "../lib/fixtures.js";
+
+// Regresión de parsers: cada test/fixtures/<carrier>/<nombre>.txt contra su salida dorada (.json).
+// Para regrabar tras un cambio intencional: node scripts/record-fixture.js --update
+// (--update escribe lo que devuelve el parser: revisa cada campo cambiado contra el .txt).
+const fixtures = await loadFixtures();
+
+// Valores leídos a mano en el texto de cada página, independientes de la salida dorada:
+// --update no los toca, así que un parser que regrese otra cosa falla aquí aunque se regrabe el .json.
+// [carrier/nombre, campos esperados, { n: núm. de eventos, last: [descripción, lugar] del último }]
+const HAND_CHECKED = [
+  ["99minutos/entregado-es", { status: "Entregado", deliveredAt: "27/08/2025 15:42", signedBy: "María López", statusCode: "delivered" }, { n: 4, last: ["Entregado", null] }],
+  ["delta/in-transit-en", { status: "In Transit", eta: "08/28/2025 16:30", statusCode: "in_transit" }, { n: 3, last: ["Departed", "ATL"] }],
+  ["dhl/en-transito-es", { status: "En tránsito", eta: "viernes, 29 de agosto de 2025", deliveredAt: null, statusCode: "in_transit" }, { n: 3, last: ["Procesado en MEXICO CITY HUB - MEXICO", "MEXICO CITY HUB - MEXICO"] }],
+  ["estafeta/entregado-es", { status: "Entregado", deliveredAt: "26/08/2025 01:12 PM", deliveredAtIso: "2025-08-26T13:12:00-06:00", origin: "MEXICO D.F.", destination: "GUADALAJARA" }, { n: 4, last: ["Entregado", "GUADALAJARA"] }],
+  ["expeditors/air-arrived-en", { mode: "air", flight: "DL 0565", ata: "08/26/2025 20:48", statusCode: "ready_for_pickup" }, { n: 4, last: ["Available for pickup", "MEXICO CITY, MX"] }],
+  ["expeditors/in-transit-en", { mode: "ocean", vessel: "MAERSK ESSEN", voyage: "532E", destination: "MANZANILLO, MX", ata: null }, { n: 2, last: ["Departed origin port", "SHANGHAI, CN"] }],
+  ["fedex/en-camino-es", { status: "En camino", etaIso: "2025-08-28T18:00:00-06:00", origin: "GUADALAJARA, JA MX", destination: "QUERETARO, QA MX" }, { n: 3, last: ["En tránsito", "QUERETARO, QA"] }],
+  // La fecha de entrega es “El 27/08/25 a las 14:03”, no el renglón “ENTREGADO MONTERREY, NL MX” que la precede
+  ["fedex/entregado-es", { deliveredAt: "27/08/25 a las 14:03", deliveredAtIso: "2025-08-27T14:03:00-06:00", signedBy: "J.PEREZ", destination: "MONTERREY, NL MX" }, { n: 4, last: ["Entregado", "MONTERREY, NL"] }],
+  ["paquetexpress/en-ruta-es", { status: "EN RUTA DE ENTREGA", eta: "28/08/2025", statusCode: "out_for_delivery" }, { n: 4, last: ["En ruta de entrega", "QUERETARO, QRO"] }],
+  ["redpack/en-transito-es", { status: "En tránsito", origin: "PUEBLA", destination: "MERIDA", eta: "29/08/2025" }, { n: 3, last: ["En tránsito a destino", "MEXICO"] }],
+  ["ups/delivered-en", { deliveredAt: "Wednesday, 08/27/2025 at 2:03 P.M.", deliveredAtIso: "2025-08-27T14:03:00-06:00", signedBy: "PEREZ", destination: "MONTERREY, MX" }, { n: 3, last: ["Delivered", "Monterrey, MX"] }]
+];
+
+test("hay fixtures para cada paquetería con parser", () => {
+  const covered = new Set(fixtures.map((f) => f.carrier));
+  for (const id of listCarriers().map((c) => c.id)) assert.ok(covered.has(id), `sin fixtures: ${id}`);
+});
+
+for (const fx of fixtures) {
+  test(`parse ${fx.carrier}/${fx.name}`, () => {
+    const adapter = getCarrier(fx.carrier);
+    assert.ok(adapter?.parse, `paquetería desconocida: ${fx.carrier}`);
+    const actual = JSON.parse(JSON.stringify(extract(adapter, fx.text, { now: new Date(fx.meta.recordedAt) })));
+    assert.deepEqual(actual, fx.meta.expected);
+  });
+}
+
+test("fixtures: valores revisados a mano contra el texto de la página", () => {
+  for (const [id, fields, { n, last }] of HAND_CHECKED) {
+    const fx = fixtures.find((f) => `${f.carrier}/${f.name}` === id);
+    assert.ok(fx, `sin fixture: ${id}`);
+    const actual = extract(getCarrier(fx.carrier), fx.text, { now: new Date(fx.meta.recordedAt) });
+    for (const [name, value] of Object.entries(fields)) assert.deepEqual(actual[name], value, `${id} ${name}`);
+    assert.equal(actual.events.length, n, `${id} eventos`);
+    const { description, location } = actual.events.at(-1);
+    assert.deepEqual([description, location], last, `${id} último evento`);
+  }
+});
+
+// Modo debug: todo campo de texto extraído debe poder rastrearse hasta el patrón que lo produjo
+test("explain: origen y confianza de cada campo de los fixtures", () => {
+  for (const fx of fixtures) {
+    const adapter = getCarrier(fx.carrier);
+    const { provenance, confidence } = explain(adapter, fx.text, { now: new Date(fx.meta.recordedAt) });
+    for (const [name, value] of Object.entries(fx.meta.expected)) {
+      if (!(name in provenance)) continue;
+      const where = `${fx.carrier}/${fx.name} ${name}`;
+      if (typeof value === "string" && !provenance[name].derived) {
+        assert.ok(provenance[name]?.snippet.includes(value), `${where}: sin patrón`);
+        assert.ok(confidence[name] > 0, `${where}: confianza 0`);
+      } else if (value == null) {
+        assert.equal(confidence[name], 0, where);
+      }
+    }
+  }
+});
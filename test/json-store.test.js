@@ -0,0 +1,35 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs";
+import { createJsonStore } from "../lib/json-store.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mct-store-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("json store: sin archivo devuelve una copia de los valores por omisión y write lo crea", async () => {
+  const defaults = { shipments: [] };
+  const store = createJsonStore(path.join(dir, "sub", "new.json"), defaults);
+  const data = await store.read();
+  data.shipments.push({ id: "a" });
+  assert.deepEqual(defaults, { shipments: [] });
+  await store.write(data);
+  assert.deepEqual(JSON.parse(fs.readFileSync(store.file, "utf8")), { shipments: [{ id: "a" }] });
+});
+
+test("json store: load lee una vez y comparte el objeto; una lectura fallida no queda cacheada", async () => {
+  const file = path.join(dir, "corrupt.json");
+  fs.writeFileSync(file, "{ corrupto");
+  const store = createJsonStore(file, { keys: [] });
+  await assert.rejects(store.load(), SyntaxError);
+  await assert.rejects(store.load(), SyntaxError);
+
+  fs.writeFileSync(file, JSON.stringify({ keys: [{ id: "k1" }] }));
+  const [a, b] = await Promise.all([store.load(), store.load()]);
+  assert.equal(a, b);
+  assert.deepEqual(a.keys, [{ id: "k1" }]);
+  // Cambios de otro proceso en el archivo no se releen: el estado vive en memoria
+  fs.writeFileSync(file, JSON.stringify({ keys: [] }));
+  assert.equal(await store.load(), a);
+});
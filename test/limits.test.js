@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createBreaker, BREAKER } from "../lib/breaker.js";
+import { createTokenBucket } from "../lib/rate-limit.js";
+import { createCarrierGuard } from "../lib/carrier-guard.js";
+import { trackError } from "../lib/errors.js";
+
+test("breaker: abre tras N fallas, una sola prueba en half-open", () => {
+  let t = 0;
+  const b = createBreaker({ threshold: 3, cooldownMs: 1000, now: () => t });
+  for (let i = 0; i < 3; i++) {
+    assert.ok(b.allow());
+    b.failure();
+  }
+  assert.equal(b.state(), BREAKER.OPEN);
+  assert.equal(b.allow(), false);
+
+  t = 1000;
+  assert.equal(b.state(), BREAKER.HALF_OPEN);
+  assert.equal(b.allow(), true);
+  assert.equal(b.allow(), false, "la segunda consulta espera a la prueba");
+
+  // La prueba falla: se reabre con un nuevo cooldown
+  b.failure();
+  assert.equal(b.state(), BREAKER.OPEN);
+  t = 2000;
+  assert.ok(b.allow());
+  b.success();
+  assert.equal(b.state(), BREAKER.CLOSED);
+  assert.equal(b.stats().failures, 0);
+});
+
+test("token bucket: ráfaga y luego espera proporcional a la tasa", () => {
+  let t = 0;
+  const bucket = createTokenBucket({ ratePerMin: 60, burst: 2, now: () => t });
+  assert.equal(bucket.tryTake(), 0);
+  assert.equal(bucket.tryTake(), 0);
+  assert.equal(bucket.tryTake(), 1000);
+  t = 1000;
+  assert.equal(bucket.tryTake(), 0);
+});
+
+test("token bucket: tryTake(n) cobra n fichas y más de burst deja deuda", () => {
+  let t = 0;
+  const bucket = createTokenBucket({ ratePerMin: 60, burst: 5, now: () => t });
+  assert.equal(bucket.tryTake(3), 0);
+  assert.equal(bucket.tryTake(3), 1000);
+  t = 3000;
+  // Lleno (5) alcanza para cobrar 20: quedan -15 y la siguiente ficha llega en 16 s
+  assert.equal(bucket.tryTake(20), 0);
+  assert.equal(bucket.stats().tokens, 0);
+  assert.equal(bucket.tryTake(), 16000);
+});
+
+test("carrier guard: bloqueos seguidos abren el circuito sin llamar a la paquetería", async () => {
+  const guard = createCarrierGuard({
+    limitsFor: () => ({ ratePerMin: 6000, burst: 10, concurrency: 1 }),
+    breaker: { threshold: 2, cooldownMs: 60000 }
+  });
+  let calls = 0;
+  const blocked = async () => {
+    calls++;
+    throw trackError("BLOCKED");
+  };
+
+  await assert.rejects(guard.run("fedex", blocked));
+  await assert.rejects(guard.run("fedex", blocked));
+  await assert.rejects(guard.run("fedex", blocked), (e) => e.circuitOpen && e.code === "BLOCKED" && e.retryAfter > 0);
+  assert.equal(calls, 2);
+
+  // Otras paqueterías no se ven afectadas; NOT_FOUND no cuenta como falla
+  await assert.rejects(guard.run("ups", async () => { throw trackError("NOT_FOUND"); }));
+  assert.equal(await guard.run("ups", async () => "ok"), "ok");
+
+  const stats = guard.stats(["fedex", "ups", "dhl"]);
+  assert.equal(stats.fedex.breaker.state, "open");
+  assert.equal(stats.ups.breaker.state, "closed");
+  assert.equal(stats.dhl.breaker.state, "closed");
+});
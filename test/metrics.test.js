@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMetrics } from "../lib/metrics.js";
+
+test("histograma: buckets acumulativos, _sum y _count por serie", () => {
+  const m = createMetrics();
+  const h = m.histogram("lat_seconds", "Latencia", ["carrier"], [1, 5]);
+  h.observe({ carrier: "ups" }, 0.5);
+  h.observe({ carrier: "ups" }, 3);
+  h.observe({ carrier: "ups" }, 9);
+  const text = m.render();
+  assert.match(text, /# TYPE lat_seconds histogram/);
+  assert.match(text, /lat_seconds_bucket\{carrier="ups",le="1"\} 1\n/);
+  assert.match(text, /lat_seconds_bucket\{carrier="ups",le="5"\} 2\n/);
+  assert.match(text, /lat_seconds_bucket\{carrier="ups",le="\+Inf"\} 3\n/);
+  assert.match(text, /lat_seconds_sum\{carrier="ups"\} 12.5\n/);
+  assert.match(text, /lat_seconds_count\{carrier="ups"\} 3\n/);
+});
+
+test("contadores: una serie por etiquetas sin importar el orden; valores escapados", () => {
+  const m = createMetrics();
+  const c = m.counter("hits_total", "Hits", ["carrier", "field"]);
+  c.inc({ field: "eta", carrier: "dhl" });
+  c.inc({ carrier: "dhl", field: "eta" }, 2);
+  c.inc({ carrier: 'a"b\\c', field: "eta" });
+  const text = m.render();
+  assert.match(text, /hits_total\{carrier="dhl",field="eta"\} 3\n/);
+  assert.ok(text.includes('hits_total{carrier="a\\"b\\\\c",field="eta"} 1'));
+});
+
+test("gauges: collect() actualiza el valor en cada render", () => {
+  const m = createMetrics();
+  const g = m.gauge("queue", "Cola", ["state"]);
+  let pending = 1;
+  m.collect(() => g.set({ state: "pending" }, pending));
+  assert.match(m.render(), /queue\{state="pending"\} 1/);
+  pending = 4;
+  assert.match(m.render(), /queue\{state="pending"\} 4/);
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createQueue } from "../lib/queue.js";
+
+const tick = () => new Promise((r) => setImmediate(r));
+
+// Tarea que termina cuando se llama a release()
+function deferred() {
+  let release;
+  const done = new Promise((r) => (release = r));
+  return { done, release };
+}
+
+test("queue: nunca corre más tareas que la concurrencia y respeta el orden de llegada", async () => {
+  const queue = createQueue({ concurrency: 2 });
+  const tasks = Array.from({ length: 5 }, deferred);
+  const started = [];
+  let running = 0;
+  let peak = 0;
+  const results = tasks.map((t, i) =>
+    queue.push(async () => {
+      started.push(i);
+      peak = Math.max(peak, ++running);
+      await t.done;
+      running--;
+      return i * 10;
+    })
+  );
+
+  await tick();
+  assert.deepEqual(started, [0, 1]);
+  assert.deepEqual(queue.stats(), { concurrency: 2, active: 2, pending: 3 });
+
+  tasks[1].release();
+  await tick();
+  assert.deepEqual(started, [0, 1, 2]);
+
+  for (const t of tasks) t.release();
+  assert.deepEqual(await Promise.all(results), [0, 10, 20, 30, 40]);
+  assert.equal(peak, 2);
+  assert.deepEqual(queue.stats(), { concurrency: 2, active: 0, pending: 0 });
+});
+
+test("queue: un error rechaza solo su tarea y libera el lugar", async () => {
+  const queue = createQueue();
+  const failed = queue.push(async () => {
+    throw new Error("timeout");
+  });
+  // Las funciones síncronas también pasan por la cola
+  const next = queue.push(() => "ok");
+  await assert.rejects(failed, /timeout/);
+  assert.equal(await next, "ok");
+  await tick();
+  assert.equal(queue.stats().active, 0);
+});
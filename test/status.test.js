@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeStatus, STATUS } from "../lib/status.js";
+
+// [paquetería, texto de la página, estatus esperado]
+const CASES = {
+  fedex: [
+    ["Entregado", STATUS.DELIVERED],
+    ["Delivered", STATUS.DELIVERED],
+    ["En camino", STATUS.IN_TRANSIT],
+    ["In transit", STATUS.IN_TRANSIT],
+    ["Listo para la entrega", STATUS.OUT_FOR_DELIVERY],
+    ["On vehicle for delivery", STATUS.OUT_FOR_DELIVERY],
+    ["On FedEx vehicle for delivery", STATUS.OUT_FOR_DELIVERY],
+    ["En vehículo de FedEx para entrega", STATUS.OUT_FOR_DELIVERY],
+    ["Etiqueta creada", STATUS.LABEL_CREATED],
+    ["Label created", STATUS.LABEL_CREATED],
+    ["Excepción de entrega", STATUS.EXCEPTION],
+    ["Delivery exception", STATUS.EXCEPTION],
+    ["Retenido en aduana", STATUS.HELD_CUSTOMS],
+    ["Clearance delay", STATUS.HELD_CUSTOMS],
+    ["Devuelto al remitente", STATUS.RETURNED],
+    ["Returning to shipper", STATUS.RETURNED]
+  ],
+  ups: [
+    ["Entregado", STATUS.DELIVERED],
+    ["Delivered", STATUS.DELIVERED],
+    ["En tránsito", STATUS.IN_TRANSIT],
+    ["In Transit", STATUS.IN_TRANSIT],
+    ["Listo para entrega", STATUS.OUT_FOR_DELIVERY],
+    ["Out for Delivery", STATUS.OUT_FOR_DELIVERY],
+    ["Out for Delivery Today", STATUS.OUT_FOR_DELIVERY],
+    ["Etiqueta creada", STATUS.LABEL_CREATED],
+    ["Label Created", STATUS.LABEL_CREATED],
+    ["We Have Your Package", STATUS.IN_TRANSIT],
+    ["Tenemos su paquete", STATUS.IN_TRANSIT],
+    ["Intento de entrega", STATUS.EXCEPTION],
+    ["Delivery Attempted", STATUS.EXCEPTION],
+    ["Returned to Sender", STATUS.RETURNED]
+  ],
+  dhl: [
+    ["Entregado", STATUS.DELIVERED],
+    ["Delivered", STATUS.DELIVERED],
+    ["En tránsito", STATUS.IN_TRANSIT],
+    ["In transit", STATUS.IN_TRANSIT],
+    ["Listo para la entrega", STATUS.OUT_FOR_DELIVERY],
+    ["Out for delivery", STATUS.OUT_FOR_DELIVERY],
+    ["Con el mensajero para entrega", STATUS.OUT_FOR_DELIVERY],
+    ["With delivery courier", STATUS.OUT_FOR_DELIVERY],
+    ["Procesado en MEXICO CITY HUB", STATUS.IN_TRANSIT],
+    ["Processed at CINCINNATI HUB", STATUS.IN_TRANSIT],
+    ["Shipment information received", STATUS.LABEL_CREATED],
+    ["Envío retenido en aduana", STATUS.HELD_CUSTOMS],
+    ["Customs clearance in progress", STATUS.HELD_CUSTOMS]
+  ],
+  delta: [
+    ["Entregado", STATUS.DELIVERED],
+    ["Delivered", STATUS.DELIVERED],
+    ["En tránsito", STATUS.IN_TRANSIT],
+    ["In Transit", STATUS.IN_TRANSIT],
+    ["En bodega", STATUS.IN_TRANSIT],
+    ["At warehouse", STATUS.IN_TRANSIT],
+    ["Listo", STATUS.READY_FOR_PICKUP],
+    ["Ready", STATUS.READY_FOR_PICKUP],
+    ["Booked", STATUS.IN_TRANSIT]
+  ],
+  expeditors: [
+    ["Delivered", STATUS.DELIVERED],
+    ["Entregado", STATUS.DELIVERED],
+    ["In Transit", STATUS.IN_TRANSIT],
+    ["En tránsito", STATUS.IN_TRANSIT],
+    ["Available", STATUS.READY_FOR_PICKUP],
+    ["Disponible", STATUS.READY_FOR_PICKUP],
+    ["Ready", STATUS.READY_FOR_PICKUP],
+    ["Listo", STATUS.READY_FOR_PICKUP]
+  ],
+  estafeta: [
+    ["Entregado", STATUS.DELIVERED],
+    ["En proceso de entrega", STATUS.IN_TRANSIT],
+    ["Pendiente en tránsito", STATUS.IN_TRANSIT],
+    ["Recolección en oficina por ruta local", STATUS.IN_TRANSIT],
+    ["En ruta de entrega", STATUS.OUT_FOR_DELIVERY],
+    ["Pendiente de recolección", STATUS.LABEL_CREATED],
+    ["Devuelto al remitente", STATUS.RETURNED]
+  ],
+  paquetexpress: [
+    ["ENTREGADO", STATUS.DELIVERED],
+    ["EN RUTA DE ENTREGA", STATUS.OUT_FOR_DELIVERY],
+    ["Documentado", STATUS.LABEL_CREATED],
+    ["Llegada a sucursal destino", STATUS.IN_TRANSIT],
+    ["Ocurre: disponible en sucursal", STATUS.READY_FOR_PICKUP]
+  ],
+  redpack: [
+    ["Entregado", STATUS.DELIVERED],
+    ["En tránsito", STATUS.IN_TRANSIT],
+    ["Guía generada", STATUS.LABEL_CREATED],
+    ["En oficina para recoger", STATUS.READY_FOR_PICKUP]
+  ],
+  "99minutos": [
+    ["Entregado", STATUS.DELIVERED],
+    ["No entregado", STATUS.EXCEPTION],
+    ["En ruta", STATUS.OUT_FOR_DELIVERY],
+    ["Recolectado", STATUS.IN_TRANSIT],
+    ["Orden creada", STATUS.LABEL_CREATED]
+  ]
+};
+
+for (const [carrier, cases] of Object.entries(CASES)) {
+  test(`normalizeStatus: ${carrier}`, () => {
+    for (const [raw, expected] of cases) {
+      assert.equal(normalizeStatus(carrier, raw), expected, `${carrier}: "${raw}"`);
+    }
+  });
+}
+
+test("normalizeStatus: alias de paquetería usa la misma tabla", () => {
+  assert.equal(normalizeStatus("delta-cargo", "Listo"), STATUS.READY_FOR_PICKUP);
+  assert.equal(normalizeStatus("deltacargo", "En bodega"), STATUS.IN_TRANSIT);
+});
+
+test("normalizeStatus: vacío o desconocido -> unknown", () => {
+  assert.equal(normalizeStatus("fedex", ""), STATUS.UNKNOWN);
+  assert.equal(normalizeStatus("fedex", null), STATUS.UNKNOWN);
+  assert.equal(normalizeStatus("ups", "Lorem ipsum"), STATUS.UNKNOWN);
+  assert.equal(normalizeStatus("otra", "Delivered"), STATUS.DELIVERED);
+});
+
+test("STATUS es inmutable y sus valores son únicos", () => {
+  assert.ok(Object.isFrozen(STATUS));
+  const values = Object.values(STATUS);
+  assert.equal(new Set(values).size, values.length);
+});
@@ -0,0 +1,162 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs";
+import { createWatchlist, POLL_MINUTES } from "../lib/watchlist.js";
+import { createJsonStore } from "../lib/json-store.js";
+import { createLogger } from "../lib/log.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mct-watch-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// track simulado: devuelve en orden los resultados de la cola
+function fakeTrack(results) {
+  const calls = [];
+  const track = async (query) => {
+    calls.push(query);
+    const next = results.shift();
+    if (next instanceof Error) throw next;
+    return { ok: true, carrier: query.carrier, code: query.code, officialUrl: "https://x", cache: "miss", ...next };
+  };
+  return { track, calls };
+}
+
+test("watchlist: CRUD persistente en el archivo JSON y duplicados por dueño", async () => {
+  const file = path.join(dir, "crud.json");
+  const list = createWatchlist({ store: createJsonStore(file, { shipments: [] }), track: async () => ({}) });
+  const a = await list.add({ carrier: "fedex", code: "123456789012", label: "Pedido 1" });
+  assert.equal(a.active, true);
+  assert.equal(a.history, undefined);
+  await assert.rejects(list.add({ carrier: "fedex", code: "123456789012" }), (e) => e.status === 409 && e.shipment.id === a.id);
+  // La misma guía para otra API key es otro envío
+  const b = await list.add({ carrier: "fedex", code: "123456789012", owner: "key-1" });
+  assert.notEqual(b.id, a.id);
+
+  assert.equal((await list.update(a.id, { label: "", active: false })).label, null);
+  assert.equal(await list.remove(b.id), true);
+  assert.equal(await list.remove(b.id), false);
+  assert.equal(await list.update("nope", { label: "x" }), null);
+
+  // Otra instancia lee lo guardado
+  const reloaded = createWatchlist({ store: createJsonStore(file, { shipments: [] }), track: async () => ({}) });
+  const [saved] = await reloaded.list();
+  assert.equal(saved.id, a.id);
+  assert.equal(saved.active, false);
+  assert.equal(saved.nextCheckAt, null);
+});
+
+test("watchlist: refresh guarda snapshot e historial, emite change y agenda según el estatus", async () => {
+  const { track, calls } = fakeTrack([
+    { status: "En tránsito", statusCode: "in_transit", events: [{ timestamp: "2025-08-26T10:00:00-06:00" }] },
+    { status: "En tránsito", statusCode: "in_transit", events: [{ timestamp: "2025-08-26T10:00:00-06:00" }] },
+    new Error("se cayó la red"),
+    { status: "Entregado", statusCode: "delivered", signedBy: "J.PEREZ" }
+  ]);
+  const list = createWatchlist({ store: createJsonStore(path.join(dir, "refresh.json"), { shipments: [] }), track });
+  const changes = [];
+  list.on("change", (e) => changes.push(e));
+  const { id } = await list.add({ carrier: "fedex", code: "123456789012" });
+
+  const before = Date.now();
+  let s = await list.refresh(id);
+  assert.deepEqual(calls[0], { carrier: "fedex", code: "123456789012", fresh: true, owner: null });
+  assert.equal(s.details.statusCode, "in_transit");
+  // Sin metadatos de la consulta en el snapshot
+  assert.equal(s.details.cache, undefined);
+  assert.ok(Date.parse(s.nextCheckAt) >= before + POLL_MINUTES.in_transit * 60000);
+  assert.deepEqual(changes[0].changes.statusCode, { from: null, to: "in_transit" });
+
+  // Sin cambios: ni historial nuevo ni evento
+  await list.refresh(id);
+  assert.equal((await list.get(id)).history.length, 1);
+  assert.equal(changes.length, 1);
+
+  // Error: se conserva el último dato conocido
+  s = await list.refresh(id);
+  assert.equal(s.lastError, "se cayó la red");
+  assert.equal(s.details.statusCode, "in_transit");
+
+  // Entregado: deja de consultarse
+  s = await list.refresh(id);
+  assert.equal(s.active, false);
+  assert.equal(s.nextCheckAt, null);
+  assert.equal(s.lastError, null);
+  assert.deepEqual(Object.keys(changes[1].changes).sort(), ["lastEvent", "signedBy", "status", "statusCode"]);
+  assert.equal(changes[1].previous.statusCode, "in_transit");
+  assert.equal((await list.get(id)).history.length, 2);
+});
+
+test("watchlist: tick consulta solo los envíos activos vencidos", async () => {
+  const { track, calls } = fakeTrack([{ status: "En tránsito", statusCode: "in_transit" }]);
+  const list = createWatchlist({ store: createJsonStore(path.join(dir, "tick.json"), { shipments: [] }), track });
+  await list.add({ carrier: "fedex", code: "111111111111" });
+  const paused = await list.add({ carrier: "fedex", code: "222222222222" });
+  await list.update(paused.id, { active: false });
+
+  await list.tick();
+  assert.deepEqual(calls.map((c) => c.code), ["111111111111"]);
+  // El siguiente turno es en 2 h: nada vencido
+  await list.tick();
+  assert.equal(calls.length, 1);
+});
+
+test("watchlist: una lectura fallida no queda cacheada", async () => {
+  const file = path.join(dir, "corrupt.json");
+  fs.writeFileSync(file, "{ corrupto");
+  const list = createWatchlist({ store: createJsonStore(file, { shipments: [] }), track: async () => ({}) });
+  await assert.rejects(list.list(), SyntaxError);
+  fs.writeFileSync(file, JSON.stringify({ shipments: [] }));
+  assert.deepEqual(await list.list(), []);
+});
+
+test("watchlist: un error al sondear queda en el log estructurado y no detiene el turno", async () => {
+  const { track, calls } = fakeTrack([{ statusCode: "in_transit" }, { statusCode: "in_transit" }]);
+  let writes = 0;
+  const data = { shipments: [] };
+  const store = {
+    load: async () => data,
+    // Falla el guardado tras consultar el primer envío
+    write: async () => {
+      if (++writes === 3) throw new Error("disco lleno");
+    }
+  };
+  const lines = [];
+  const list = createWatchlist({ store, track, log: createLogger({ write: (l) => lines.push(JSON.parse(l)) }) });
+  const first = await list.add({ carrier: "fedex", code: "111111111111" });
+  await list.add({ carrier: "dhl", code: "3318810025" });
+  await list.tick();
+  assert.equal(calls.length, 2);
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].level, "error");
+  assert.equal(lines[0].msg, "watchlist refresh");
+  assert.equal(lines[0].shipment, first.id);
+  assert.equal(lines[0].err.message, "disco lleno");
+});
+
+test("watchlist: tick con shipments.json ilegible deja el error en el log y no rechaza", async () => {
+  let reads = 0;
+  const store = {
+    load: async () => {
+      reads++;
+      throw new SyntaxError("Unexpected token c in JSON");
+    },
+    write: async () => {}
+  };
+  const lines = [];
+  const list = createWatchlist({ store, track: async () => ({}), tickMs: 5, log: createLogger({ write: (l) => lines.push(JSON.parse(l)) }) });
+  await list.tick();
+  assert.equal(lines[0].msg, "watchlist tick");
+  assert.equal(lines[0].err.message, "Unexpected token c in JSON");
+
+  // Desde el intervalo tampoco queda una promesa rechazada: el proceso sigue y reintenta cada turno
+  const unhandled = [];
+  const onUnhandled = (e) => unhandled.push(e);
+  process.on("unhandledRejection", onUnhandled);
+  list.start();
+  await new Promise((r) => setTimeout(r, 30));
+  list.stop();
+  process.off("unhandledRejection", onUnhandled);
+  assert.deepEqual(unhandled, []);
+  assert.ok(reads > 2);
+});
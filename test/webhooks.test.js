@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "crypto";
+import { createWebhooks, assertPublicUrl, sign } from "../lib/webhooks.js";
+import { createLogger } from "../lib/log.js";
+
+// Store en memoria con la forma de lib/json-store.js: load() devuelve el estado guardado
+const memoryStore = () => {
+  let data = { hooks: [], deadLetters: [] };
+  return { load: async () => data, write: async (d) => void (data = d) };
+};
+// DNS simulado: hooks.example.com es pública, interno.example.com resuelve a la red privada
+const lookup = async (host) => {
+  if (host === "hooks.example.com") return [{ address: "93.184.216.34", family: 4 }];
+  if (host === "interno.example.com") return [{ address: "93.184.216.34", family: 4 }, { address: "10.0.0.7", family: 4 }];
+  throw Object.assign(new Error("ENOTFOUND"), { code: "ENOTFOUND" });
+};
+
+// fetch simulado: responde con los status de la cola (el último se repite) y guarda cada solicitud
+function fakeFetch(statuses) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, init });
+    const status = statuses.length > 1 ? statuses.shift() : statuses[0];
+    return { ok: status < 300, status };
+  };
+  return { fetchImpl, calls };
+}
+
+test("webhooks: cuerpo firmado con HMAC-SHA256 del secreto", async () => {
+  const { fetchImpl, calls } = fakeFetch([200]);
+  const hooks = createWebhooks({ store: memoryStore(), fetchImpl, lookup });
+  const hook = await hooks.add({ url: "https://hooks.example.com/mct", secret: "s3cr3t" });
+  assert.equal((await hooks.list())[0].secret, undefined);
+
+  await hooks.notify({ event: "shipment.changed", shipment: { code: "123456789012" } });
+  const { init } = calls[0];
+  const expected = "sha256=" + createHmac("sha256", "s3cr3t").update(init.body).digest("hex");
+  assert.equal(init.headers["x-signature-256"], expected);
+  assert.equal(sign("s3cr3t", init.body), expected);
+  assert.equal(init.headers["x-webhook-id"], hook.id);
+  assert.equal(init.redirect, "manual");
+  assert.deepEqual(JSON.parse(init.body).shipment, { code: "123456789012" });
+});
+
+test("webhooks: reintentos con backoff exponencial hasta entregar", async () => {
+  const { fetchImpl, calls } = fakeFetch([500, 503, 200]);
+  const waits = [];
+  const wait = async (ms) => void waits.push(ms);
+  const hooks = createWebhooks({ store: memoryStore(), fetchImpl, lookup, retries: 4, baseDelayMs: 1000, wait });
+  await hooks.add({ url: "https://hooks.example.com/mct" });
+  await hooks.notify({ event: "x" });
+  assert.equal(calls.length, 3);
+  assert.deepEqual(waits, [1000, 2000]);
+  assert.deepEqual(await hooks.deadLetters(), []);
+
+  // Sin éxito: tantos intentos como retries y sin espera después del último
+  const failing = createWebhooks({
+    store: memoryStore(), fetchImpl: fakeFetch([500]).fetchImpl, lookup, retries: 4, baseDelayMs: 1000, wait, log: createLogger({ level: "silent" })
+  });
+  await failing.add({ url: "https://hooks.example.com/mct" });
+  waits.length = 0;
+  await failing.notify({ event: "x" });
+  assert.deepEqual(waits, [1000, 2000, 4000]);
+  assert.equal((await failing.deadLetters())[0].attempts, 4);
+});
+
+test("webhooks: dead letters y reenvío", async () => {
+  const statuses = [500];
+  const { fetchImpl, calls } = fakeFetch(statuses);
+  const lines = [];
+  const log = createLogger({ write: (l) => lines.push(JSON.parse(l)) });
+  const hooks = createWebhooks({ store: memoryStore(), fetchImpl, lookup, retries: 2, wait: async () => {}, log });
+  const hook = await hooks.add({ url: "https://hooks.example.com/mct" });
+  await hooks.notify({ event: "x" });
+
+  const [dl] = await hooks.deadLetters();
+  assert.equal(dl.hookId, hook.id);
+  assert.equal(dl.attempts, 2);
+  assert.equal(dl.lastError, "HTTP 500");
+  assert.deepEqual(dl.payload, { event: "x" });
+  assert.deepEqual(
+    lines.map(({ level, msg, hookId, error }) => ({ level, msg, hookId, error })),
+    [{ level: "error", msg: "webhook dead letter", hookId: hook.id, error: "HTTP 500" }]
+  );
+
+  // El receptor se recupera: el reenvío entrega y la saca de la lista
+  statuses[0] = 204;
+  const [result] = await hooks.replay(dl.id);
+  assert.deepEqual(result, { id: dl.id, delivered: true, attempts: 2, error: null });
+  assert.deepEqual(await hooks.deadLetters(), []);
+  assert.equal(calls.length, 3);
+
+  // Webhook eliminado: la entrega se queda como dead letter
+  statuses[0] = 500;
+  await hooks.notify({ event: "y" });
+  await hooks.remove(hook.id);
+  const [orphan] = await hooks.replay();
+  assert.equal(orphan.delivered, false);
+  assert.equal(orphan.error, "Webhook eliminado");
+  assert.deepEqual(await hooks.replay("no-existe"), []);
+});
+
+test("webhooks: no se registran ni se envían a direcciones internas", async () => {
+  for (const url of [
+    "http://169.254.169.254/latest/meta-data/",
+    "http://127.0.0.1:8080/hook",
+    "http://localhost/hook",
+    "http://[::1]/hook",
+    "http://192.168.1.10/hook",
+    "https://interno.example.com/hook",
+    "ftp://hooks.example.com/hook"
+  ]) {
+    await assert.rejects(assertPublicUrl(url, { lookup: async (h) => (h === "localhost" ? [{ address: "127.0.0.1" }] : lookup(h)) }), (e) => e.status === 400, url);
+  }
+  await assertPublicUrl("https://hooks.example.com/mct", { lookup });
+
+  const { fetchImpl, calls } = fakeFetch([200]);
+  const store = memoryStore();
+  const silent = createLogger({ level: "silent" });
+  const hooks = createWebhooks({ store, fetchImpl, lookup, retries: 1, log: silent });
+  await assert.rejects(hooks.add({ url: "http://10.1.2.3/hook" }), /dirección interna/);
+  assert.deepEqual(await hooks.list(), []);
+
+  // Registrado antes (o el DNS cambió): se revisa también al enviar y no sale la solicitud
+  await store.write({ hooks: [{ id: "h1", url: "https://interno.example.com/hook", secret: "s" }], deadLetters: [] });
+  const reloaded = createWebhooks({ store, fetchImpl, lookup, retries: 1, log: silent });
+  await reloaded.notify({ event: "x" });
+  assert.equal(calls.length, 0);
+  assert.match((await reloaded.deadLetters())[0].lastError, /dirección interna/);
+
+  // Desarrollo: WEBHOOK_ALLOW_PRIVATE=1
+  const dev = createWebhooks({ store: memoryStore(), fetchImpl, lookup, allowPrivate: true });
+  await dev.add({ url: "http://127.0.0.1:3000/hook" });
+  await dev.notify({ event: "x" });
+  assert.equal(calls.length, 1);
+});